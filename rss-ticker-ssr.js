@@ -0,0 +1,197 @@
+// Renders <rss-ticker> markup ahead of time, in Node or a build step, without a DOM. The output holds
+// a declarative shadow root with a static first paint of the headlines, which crawlers can read,
+// and the posts as JSON for the element to hydrate from once rss-ticker.js loads.
+(function (root) {
+  const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  // Attribute values end up inside <style>; keep them from closing the rule or the element
+  const cssValue = (value, fallback) => (value ? String(value).replace(/[<>{};]/g, '') : fallback);
+
+  // Only http(s) links are rendered, like in the element itself
+  function safeUrl(link) {
+    try {
+      const url = new URL(String(link || ''));
+      return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function extractDomain(link) {
+    try {
+      return new URL(link).hostname.replace(/^(www\.|rss\.|feeds\.|api\.)/, '');
+    } catch {
+      return 'Unknown';
+    }
+  }
+
+  // Same options as the element's `locale`, `time-zone` and `date-format` attributes. Relative dates
+  // would be outdated by the time the page is read, so they are written as short dates until the
+  // element takes over.
+  function formatDate(isoDate, attributes) {
+    const date = new Date(isoDate);
+    if (!isoDate || isNaN(date.getTime())) {
+      return '';
+    }
+    let options = { month: 'short', day: 'numeric', year: 'numeric' };
+    const format = (attributes['date-format'] || '').trim();
+    if (format === 'long') {
+      options = { ...options, month: 'long' };
+    } else if (format.startsWith('{')) {
+      try {
+        options = JSON.parse(format);
+      } catch {
+        // Keep the short format
+      }
+    }
+    try {
+      return new Intl.DateTimeFormat(attributes.locale || 'en-US', {
+        ...options,
+        timeZone: options.timeZone || attributes['time-zone'] || undefined
+      }).format(date);
+    } catch {
+      return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' }).format(date);
+    }
+  }
+
+  // The element's themes and --rss-ticker-* custom properties, with the styling attributes as overrides
+  function getStyles(attributes) {
+    const darkTheme = `
+        color-scheme: dark;
+        --_theme-bg: #1f2328;
+        --_theme-title-color: #e6edf3;
+        --_theme-domain-color: #58a6ff;
+        --_theme-date-color: #9da7b3;`;
+    const googleFont = cssValue(attributes['google-font'], '');
+    const fontFamily = cssValue(attributes['font-family'], 'var(--rss-ticker-font-family, Arial, sans-serif)');
+    const overrides = {
+      '--_bg': cssValue(attributes['background-color'], 'var(--rss-ticker-bg, var(--_theme-bg))'),
+      '--_title-color': cssValue(attributes['title-color'], 'var(--rss-ticker-title-color, var(--_theme-title-color))'),
+      '--_domain-color': cssValue(attributes['domain-color'], 'var(--rss-ticker-domain-color, var(--_theme-domain-color))'),
+      '--_date-color': cssValue(attributes['date-color'], 'var(--rss-ticker-date-color, var(--_theme-date-color))'),
+      '--_font-family': googleFont ? `"${googleFont}", ${fontFamily}` : fontFamily,
+      '--_font-weight': cssValue(attributes['font-weight'], 'var(--rss-ticker-font-weight, 400)'),
+      '--_font-size': cssValue(attributes['font-size'], 'var(--rss-ticker-font-size, 14px)')
+    };
+
+    return `
+      :host {
+        --_theme-bg: #f8f9fa;
+        --_theme-title-color: #333;
+        --_theme-domain-color: #007bff;
+        --_theme-date-color: #6c757d;
+      }
+      :host([theme="dark"]) {${darkTheme}
+      }
+      @media (prefers-color-scheme: dark) {
+        :host([theme="auto"]) {${darkTheme}
+        }
+      }
+      :host {
+        ${Object.entries(overrides).map(([property, value]) => `${property}: ${value};`).join('\n        ')}
+        display: block;
+        width: 100%;
+        overflow: hidden;
+        background-color: var(--_bg);
+        padding: 12px 0;
+        box-sizing: border-box;
+      }
+      .ticker-container {
+        overflow: hidden;
+      }
+      .ticker-content {
+        white-space: nowrap;
+        font-family: var(--_font-family);
+        font-size: var(--_font-size);
+        font-weight: var(--_font-weight);
+        line-height: 1.4;
+        color: var(--_title-color);
+      }
+      .post-link {
+        display: inline-block;
+        padding: 0 5px;
+        text-decoration: none;
+        color: inherit;
+      }
+      .post-domain {
+        color: var(--_domain-color);
+        font-weight: 600;
+        font-size: 0.85em;
+      }
+      .post-date {
+        color: var(--_date-color);
+        font-style: italic;
+        font-size: 0.85em;
+        margin-inline-start: 1.2em;
+      }
+      .post-title {
+        font-weight: bold;
+        margin-inline-start: 1.2em;
+      }
+      .separator {
+        color: var(--rss-ticker-separator-color, var(--_date-color));
+        font-weight: bold;
+        margin: 0 2em;
+      }
+    `;
+  }
+
+  // Returns the HTML of an <rss-ticker> element showing `posts`, objects with `title`, `link` and
+  // optionally `isoDate` (or `date`), `domain`, `author`, `summary`, `image`, `categories` and `guid`.
+  // `attributes` are copied onto the element, e.g. `{ 'rss-url': '...', locale: 'de-DE' }`.
+  function renderTickerMarkup(posts, attributes = {}) {
+    const separator = attributes.separator || '|';
+    const maxTitleLength = parseInt(attributes['max-title-length']);
+    // Until the element takes over, link-target="preview" links open in a new tab
+    const linkTarget = attributes['link-target'] || '_blank';
+    const targetAttributes = ['_blank', 'preview'].includes(linkTarget)
+      ? ' target="_blank" rel="noopener"'
+      : (linkTarget === '_self' ? '' : ` target="${escapeHtml(linkTarget)}"`);
+    const items = (posts || [])
+      .filter(post => post && typeof post.title === 'string' && post.title.trim())
+      .map(post => {
+        const url = safeUrl(post.link);
+        const domain = post.domain || (url ? extractDomain(url) : '');
+        const fullTitle = post.title.trim();
+        // Shortened like in the element, with the full title as a tooltip
+        const title = maxTitleLength > 1 && fullTitle.length > maxTitleLength
+          ? `${fullTitle.slice(0, maxTitleLength - 1).trimEnd()}…`
+          : fullTitle;
+        const tooltip = title !== fullTitle ? ` title="${escapeHtml(fullTitle)}"` : '';
+        return `<a class="post-link post-item" part="item"${url ? ` href="${escapeHtml(url)}"` : ''}${targetAttributes}${tooltip}>` +
+          `<span class="post-domain" part="domain">${escapeHtml(domain)}</span>` +
+          `<span class="post-date" part="date">${escapeHtml(formatDate(post.isoDate || post.date, attributes))}</span>` +
+          `<span class="post-title" part="title">${escapeHtml(title)}</span></a>`;
+      })
+      .join(`<span class="separator" part="separator" aria-hidden="true">${escapeHtml(separator)}</span>`);
+
+    const hostAttributes = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== false)
+      .map(([name, value]) => (value === true ? ` ${escapeHtml(name)}` : ` ${escapeHtml(name)}="${escapeHtml(value)}"`))
+      .join('');
+
+    // `<` is escaped so a title containing </script> cannot end the data block
+    const json = JSON.stringify(posts || []).replace(/</g, '\\u003c');
+
+    return `<rss-ticker${hostAttributes}>` +
+      '<template shadowrootmode="open">' +
+      `<style>${getStyles(attributes)}</style>` +
+      `<div class="ticker" role="region" aria-roledescription="news ticker" aria-label="${escapeHtml(attributes.label || 'Latest headlines')}">` +
+      `<div class="ticker-container" part="container"><div class="ticker-content">${items}</div></div>` +
+      '</div>' +
+      '</template>' +
+      `<script type="application/json">${json}</script>` +
+      '</rss-ticker>';
+  }
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { renderTickerMarkup };
+  } else {
+    root.renderTickerMarkup = renderTickerMarkup;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -1,17 +1,61 @@
 class RSSTickerElement extends HTMLElement {
   constructor() {
     super();
-    this.attachShadow({
-      mode: 'open'
-    });
-    this.posts = [];
+    // Server-rendered markup may already have attached a declarative shadow root; render() replaces its content
+    if (!this.shadowRoot) {
+      this.attachShadow({
+        mode: 'open'
+      });
+    }
+    this._posts = [];
+    this.serverPosts = []; // Posts provided with the page, shown until a feed has loaded
+    this.metrics = []; // Latest fetch attempts and cache lookups, oldest first
     this.animationId = null;
     this.resizeObserver = null;
+    this.intersectionObserver = null;
+    this.inViewport = false; // Within 200px of the viewport, as reported by the IntersectionObserver
+    this.deferredTasks = new Map(); // Work put off while the ticker is out of view, keyed by name
+    this.sourceObserver = null;
     this.lastMeasuredCycleWidth = 0;
     this.isLoading = false;
     this._fetchPromise = null; 
+    this._fetchController = null; // Aborts the fetch in progress when it is superseded or the ticker is removed
+    this._fetchKey = null; // Feeds and proxies of the fetch in progress
+    this._fetchForced = false; // Whether the fetch in progress skips fresh cache entries
     this.resizeTimeout = null;
     this._fetchDebounceTimeout = null; 
+    this.refreshTimer = null;
+    this.feedPosts = new Map(); // Last successfully loaded posts of each feed, keyed by feed URL
+    this.feedOrigins = new Map(); // Where each feed's posts came from: 'cache' or a proxy service name
+    this.staleFeeds = new Set(); // Feeds showing an expired copy because revalidation failed
+    this.revalidatingFeeds = new Set();
+    this._resumeOffset = null; // Scroll offset to continue from after the next content update
+    this.shuffleKeys = new Map(); // Random sort key of each post for sort="random", kept across refreshes
+    this.previewPost = null; // Post shown in the preview dialog
+    this._postFilter = null;
+    this._renderItem = null;
+    this.rotationTimer = null;
+    this.rotationIndex = 0;
+    this.rotationKey = null; // Key of the headline shown by the vertical and fade modes
+    this.isHovered = false;
+    this.focusIndex = 0; // Headline that is in the tab order (roving tabindex)
+    this.scrollOffset = 0; // How far the strip has scrolled into its cycle, in pixels
+    this.scrollVelocity = 0; // Current scroll speed in pixels per second, eased towards the target speed
+    this.lastFrameTime = null;
+    this.rightToLeft = false; // Layout and scroll direction, measured with the strip
+    this.scrollReversed = false;
+    this.drag = null; // Pointer currently scrubbing the strip
+    this.itemStops = []; // Scroll offsets at which each headline reaches the leading edge
+    this.holdTimer = null; // Keeps the strip at a headline for `headline-stop` seconds
+    this.dragMoved = false; // Swallows the click that ends a drag
+    this.renderedPosts = []; // Posts in the current markup, which trails `_posts` until re-rendered
+    this.reducedMotionQuery = null;
+    this.dateTimer = null;
+    this._dateFormatter = null; // Formatter for the current locale, time zone and date format
+    this._onReducedMotionChange = () => this.updateTickerContent();
+    this._onOnline = () => this.handleConnectivityChange(true);
+    this._onVisibilityChange = () => this.handleViewChange();
+    this._onOffline = () => this.handleConnectivityChange(false);
   }
 
   static get observedAttributes() {
@@ -27,44 +71,419 @@ class RSSTickerElement extends HTMLElement {
       'font-family',
       'font-weight',
       'font-size',
-      'max-posts'
+      'max-posts',
+      'proxies',
+      'refresh-interval',
+      'cache-ttl',
+      'cache-storage',
+      'paused',
+      'include',
+      'exclude',
+      'categories',
+      'exclude-categories',
+      'max-age',
+      'mode',
+      'dwell',
+      'label',
+      'locale',
+      'time-zone',
+      'date-format',
+      'dir',
+      'direction',
+      'no-fetch',
+      'debug',
+      'sort',
+      'dedupe',
+      'new-within',
+      'pin-new',
+      'link-target',
+      'loading',
+      'pixels-per-second',
+      'hover-speed',
+      'headline-stop',
+      'max-title-length',
+      'max-lines',
+      'compact',
+      'compact-width'
     ];
   }
 
+  // --- Public API ---
+
+  // The posts currently shown in the ticker. Returns copies, so changing them has no effect.
+  get posts() {
+    return this._posts.map(post => this.getDisplayPost(post));
+  }
+
+  get paused() {
+    return this.hasAttribute('paused');
+  }
+
+  // Fetches every feed from the network again, ignoring fresh cache entries. The current posts stay
+  // on screen until the new ones arrive, and a feed that fails keeps its cached copy.
+  refresh() {
+    return this.fetchRSSFeed({
+      background: this._posts.length > 0,
+      force: true
+    });
+  }
+
+  // Optional predicate deciding which posts are shown, applied after the filter attributes.
+  // Receives each post and its index; return false to hide the post.
+  get postFilter() {
+    return this._postFilter;
+  }
+
+  set postFilter(predicate) {
+    this._postFilter = typeof predicate === 'function' ? predicate : null;
+    this.applyFeedPosts(false, false);
+  }
+
+  // Optional callback `(post, index) => html` building the markup of each item. Takes precedence
+  // over a <template> child.
+  get renderItem() {
+    return this._renderItem;
+  }
+
+  set renderItem(callback) {
+    this._renderItem = typeof callback === 'function' ? callback : null;
+    if (this._posts.length > 0) {
+      this.updateTickerContent();
+    }
+  }
+
+  // The `date-format` option: 'short', 'long', 'relative', or an Intl.DateTimeFormat options object,
+  // which is stored in the attribute as JSON
+  get dateFormat() {
+    return this.getDateFormat();
+  }
+
+  set dateFormat(format) {
+    if (format && typeof format === 'object') {
+      this.setAttribute('date-format', JSON.stringify(format));
+    } else if (format) {
+      this.setAttribute('date-format', String(format));
+    } else {
+      this.removeAttribute('date-format');
+    }
+  }
+
+  // Records of the latest fetch attempts and cache lookups, oldest first (see recordMetric)
+  getMetrics() {
+    return this.metrics.map(record => ({ ...record }));
+  }
+
+  // The exact URLs the ticker requests for its feeds, as `{ feed, service, url }` objects in
+  // fallback order, e.g. for a service worker to precache
+  getRequestUrls() {
+    return this.getFeedSources().flatMap(source => this.getProxyServices(source.url).map(service => ({
+      feed: source.url,
+      service: service.name,
+      url: service.url
+    })));
+  }
+
+  pause() {
+    this.setAttribute('paused', '');
+  }
+
+  resume() {
+    this.removeAttribute('paused');
+  }
+
+  // Opens the preview dialog for the post at `index` in `posts`: its image, title, date, summary and
+  // a link to the full article. The ticker stands still while the dialog is open.
+  showPreview(index) {
+    const post = this._posts[index];
+    const dialog = this.shadowRoot.querySelector('.ticker-preview');
+    if (!post || !dialog) {
+      return;
+    }
+    this.previewPost = post;
+
+    const body = document.createElement('div');
+    body.className = 'preview-body';
+
+    const closeButton = this.createTextElement('button', 'preview-close', '×');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.addEventListener('click', () => this.closePreview());
+    body.appendChild(closeButton);
+
+    if (post.image && this.isSafeUrl(post.image)) {
+      const image = document.createElement('img');
+      image.className = 'preview-image';
+      image.src = new URL(post.image, document.baseURI).href;
+      image.alt = '';
+      body.appendChild(image);
+    }
+
+    const title = this.createTextElement('h2', 'preview-title', post.title);
+    title.id = 'ticker-preview-title';
+    body.appendChild(title);
+    body.appendChild(this.createTextElement('p', 'preview-meta', [post.domain, post.isoDate ? this.formatPostDate(post) : '', post.author].filter(Boolean).join(' · ')));
+    if (post.summary) {
+      body.appendChild(this.createTextElement('p', 'preview-summary', post.summary));
+    }
+
+    const url = this.getPostUrl(post);
+    if (url) {
+      const link = this.createTextElement('a', 'preview-link', 'Read more');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      body.appendChild(link);
+    }
+
+    dialog.replaceChildren(body);
+    if (!dialog.open) {
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.setAttribute('open', '');
+      }
+    }
+  }
+
+  closePreview() {
+    const dialog = this.shadowRoot.querySelector('.ticker-preview');
+    if (!dialog || !dialog.open) {
+      return;
+    }
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+      this.handlePreviewClose();
+    }
+  }
+
+  // --- End Public API ---
+
+  // Registers a proxy service for every ticker on the page and adds it to the default proxy list.
+  // `config.url` is a URL template where `{url}` is replaced with the encoded feed URL and `{rawUrl}`
+  // with the unencoded one, or a function receiving the feed URL. `config.format` is 'xml' when the
+  // proxy returns the feed itself, 'json' for rss2json-style JSON, or 'allorigins' for a JSON
+  // envelope carrying the feed in a `contents` string.
+  static registerProxy(name, config) {
+    if (!config || !config.url) {
+      throw new Error(`Proxy "${name}" needs a url`);
+    }
+    RSSTickerElement.proxyServices.set(name, {
+      timeout: 5000,
+      format: 'xml',
+      ...config
+    });
+    if (!RSSTickerElement.defaultProxies.includes(name)) {
+      RSSTickerElement.defaultProxies.push(name);
+    }
+  }
+
+  static unregisterProxy(name) {
+    RSSTickerElement.proxyServices.delete(name);
+    RSSTickerElement.defaultProxies = RSSTickerElement.defaultProxies.filter(proxyName => proxyName !== name);
+  }
+
+  // Removes the third-party CORS proxies so no feed request is ever sent through them
+  static disableBuiltinProxies() {
+    ['allorigins', 'codetabs', 'rss2json'].forEach(name => RSSTickerElement.unregisterProxy(name));
+  }
+
   connectedCallback() { 
     this.loadGoogleFont();
     this.render();
-    // Debounce the initial fetch. This is crucial if connectedCallback fires multiple times.
-    this.debouncedFetchRSSFeed();
 
+    // Out of view or in a hidden tab the ticker stands still and defers its timers and lazy fetch.
+    // The 200px margin lets it start moving just before it scrolls into view.
+    if (typeof IntersectionObserver === 'undefined') {
+      this.inViewport = true;
+    } else {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        this.inViewport = entries[entries.length - 1].isIntersecting;
+        this.handleViewChange();
+      }, { rootMargin: '200px 0px' });
+      this.intersectionObserver.observe(this);
+    }
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+    this.loadInitialPosts();
+    this.startRefreshTimer();
+    this.startDateTimer();
+
+    // A resized ticker is laid out again. When only the strip changes size, e.g. because page CSS
+    // changed the font through the custom properties, its cycle is measured again.
     this.resizeObserver = new ResizeObserver(entries => {
       if (entries.length > 0 && this.lastMeasuredCycleWidth > 0) {
+        const containerResized = entries.some(entry => entry.target.classList.contains('ticker-container'));
         if (this.resizeTimeout) {
           clearTimeout(this.resizeTimeout);
         }
         this.resizeTimeout = setTimeout(() => {
-          this.updateTickerContent();
+          if (containerResized) {
+            this.updateTickerContent();
+          } else {
+            this.startAnimation();
+          }
         }, 100);
       }
     });
     this.resizeObserver.observe(this.shadowRoot.querySelector('.ticker-container'));
+    this.resizeObserver.observe(this.shadowRoot.querySelector('.ticker-content'));
+
+    // Users who prefer reduced motion get the static list; follow changes to that setting
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotionQuery.addEventListener('change', this._onReducedMotionChange);
+
+    // Without a connection the cached posts are shown as they are; reconnecting refetches the feeds
+    this.toggleAttribute('offline', this.isOffline());
+    window.addEventListener('online', this._onOnline);
+    window.addEventListener('offline', this._onOffline);
+
+    // Pause/play control (WCAG 2.2.2)
+    this.shadowRoot.querySelector('.ticker-toggle').addEventListener('click', () => {
+      if (this.paused) {
+        this.resume();
+      } else {
+        this.pause();
+      }
+    });
+
+    // Hovering eases the scroll to a stop and holds the current headline of the rotating modes
+    const tickerContainer = this.shadowRoot.querySelector('.ticker-container');
+    tickerContainer.addEventListener('pointerenter', () => {
+      this.isHovered = true;
+    });
+    tickerContainer.addEventListener('pointerleave', () => {
+      this.isHovered = false;
+      // A press that never became a drag is not captured, so its release outside would go unnoticed
+      if (this.drag && !this.drag.active) {
+        this.drag = null;
+      }
+      this.startScrollLoop();
+    });
+
+    // Dragging or swiping the strip scrubs through the headlines; a swipe keeps its momentum
+    tickerContainer.addEventListener('pointerdown', event => this.startDrag(event));
+    tickerContainer.addEventListener('pointermove', event => this.moveDrag(event));
+    tickerContainer.addEventListener('pointerup', event => this.endDrag(event));
+    tickerContainer.addEventListener('pointercancel', event => this.endDrag(event));
+    // The click ending a drag does not open the headline under the pointer
+    tickerContainer.addEventListener('click', event => {
+      if (this.dragMoved) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.dragMoved = false;
+      }
+    }, true);
+
+    // Report clicks on headlines. Cancelling `rss-ticker:item-click` stops the navigation so a router
+    // can take over; with link-target="preview", plain clicks open the preview instead of the link.
+    const tickerContent = this.shadowRoot.querySelector('.ticker-content');
+    tickerContent.addEventListener('click', event => {
+      const link = event.target.closest('.post-item');
+      if (!link) return;
+      const index = parseInt(link.dataset.index);
+      const post = this._posts[index];
+      const proceed = this.emit('item-click', {
+        post: this.getDisplayPost(post),
+        index,
+        url: this.getPostUrl(post),
+        originalEvent: event
+      }, { cancelable: true });
+
+      const modified = event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey;
+      if (!proceed) {
+        event.preventDefault();
+      } else if (this.getLinkTarget() === 'preview' && !modified) {
+        event.preventDefault();
+        this.showPreview(index);
+      }
+    });
+
+    // Clicking the backdrop closes the preview; Escape is handled by the dialog itself
+    const preview = this.shadowRoot.querySelector('.ticker-preview');
+    preview.addEventListener('click', event => {
+      if (event.target === preview) {
+        this.closePreview();
+      }
+    });
+    preview.addEventListener('close', () => this.handlePreviewClose());
+
+    // Images in custom item markup change the width of the strip once they load
+    tickerContent.addEventListener('load', () => {
+      if (this.resizeTimeout) {
+        clearTimeout(this.resizeTimeout);
+      }
+      this.resizeTimeout = setTimeout(() => {
+        this.startAnimation();
+      }, 100);
+    }, true);
+
+    // Links would otherwise start a native drag and drop instead of scrubbing
+    tickerContent.addEventListener('dragstart', event => event.preventDefault());
+
+    // Keyboard support: arrow keys move between headlines, and a focused headline is brought into view
+    tickerContent.addEventListener('keydown', event => this.handleKeydown(event));
+    tickerContent.addEventListener('focusout', () => this.startScrollLoop());
+    tickerContent.addEventListener('focusin', event => {
+      const item = event.target.closest('.post-item');
+      const index = item ? this.getNavigableItems().indexOf(item) : -1;
+      if (index !== -1) {
+        this.setFocusIndex(index);
+        this.bringItemIntoView(index);
+      }
+    });
+
+    // Re-fetch when <rss-source> children are added, removed or changed, and re-render when the
+    // item <template> is swapped
+    this.sourceObserver = new MutationObserver(mutations => {
+      const changedNodes = mutations.flatMap(mutation => [mutation.target, ...mutation.addedNodes, ...mutation.removedNodes]);
+      if (changedNodes.some(node => node.nodeName === 'RSS-SOURCE')) {
+        this.debouncedFetchRSSFeed();
+      } else if (changedNodes.some(node => node.nodeName === 'TEMPLATE') && this._posts.length > 0) {
+        this.updateTickerContent();
+      }
+    });
+    this.sourceObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['url', 'label']
+    });
   }
 
   disconnectedCallback() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
+    this.stopScrollLoop();
+    this.clearHeadlineHold();
+    this.previewPost = null;
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    this.inViewport = false;
+    this.deferredTasks.clear();
+    if (this.sourceObserver) {
+      this.sourceObserver.disconnect();
+    }
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.removeEventListener('change', this._onReducedMotionChange);
+    }
+    window.removeEventListener('online', this._onOnline);
+    window.removeEventListener('offline', this._onOffline);
+    this.stopRotation();
     if (this.resizeTimeout) {
       clearTimeout(this.resizeTimeout);
     }
     if (this._fetchDebounceTimeout) {
       clearTimeout(this._fetchDebounceTimeout);
     }
-    this.isLoading = false;
-    this._fetchPromise = null; // Clear the promise on disconnect
+    this.stopRefreshTimer();
+    this.stopDateTimer();
+    this.cancelFetch();
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -72,12 +491,57 @@ class RSSTickerElement extends HTMLElement {
       if (name === 'google-font') {
         this.loadGoogleFont();
       }
-      if (name === 'rss-url' || name === 'max-posts') {
+      if (['rss-url', 'max-posts', 'proxies', 'cache-ttl', 'cache-storage', 'no-fetch'].includes(name)) {
         // Debounce fetch calls triggered by attribute changes
         this.debouncedFetchRSSFeed();
+      } else if (name === 'refresh-interval') {
+        this.startRefreshTimer();
+      } else if (['include', 'exclude', 'categories', 'exclude-categories', 'max-age', 'sort', 'dedupe', 'new-within', 'pin-new'].includes(name)) {
+        // Filters and ordering work on the posts already loaded, no refetch needed
+        if (name === 'new-within') {
+          this.startDateTimer();
+        }
+        this.applyFeedPosts(false, false);
+      } else if (name === 'paused') {
+        this.updateAriaState();
+        this.startScrollLoop(); // Eases back into motion on resume; a running loop eases to a stop
+      } else if (['speed', 'pixels-per-second', 'hover-speed', 'headline-stop'].includes(name)) {
+        if (name === 'headline-stop') {
+          this.clearHeadlineHold();
+        }
+        this.startScrollLoop(); // The running scroll eases to the new speed
+      } else if (['locale', 'time-zone', 'date-format'].includes(name)) {
+        this._dateFormatter = null;
+        this.startDateTimer();
+        if (this._posts.length > 0) {
+          this.refreshDates();
+        }
+      } else if (name === 'debug') {
+        this.renderDebugPanel();
+      } else if (name === 'loading') {
+        // Switching to eager loading runs a fetch that was waiting for the ticker to come into view
+        const deferredFetch = this.deferredTasks.get('fetch');
+        if (deferredFetch && !this.isLazyPending()) {
+          this.deferredTasks.delete('fetch');
+          deferredFetch();
+        }
+      } else if (name === 'link-target') {
+        this.closePreview();
+        if (this._posts.length > 0) {
+          this.updateTickerContent();
+        }
+      } else if (name === 'dir' || name === 'direction') {
+        if (this._posts.length > 0) {
+          this.updateTickerContent();
+        }
+      } else if (name === 'label') {
+        const ticker = this.shadowRoot.querySelector('.ticker');
+        if (ticker) {
+          ticker.setAttribute('aria-label', newValue || 'Latest headlines');
+        }
       } else {
         this.updateStyles();
-        if (['font-family', 'font-weight', 'font-size', 'separator'].includes(name)) {
+        if (['font-family', 'font-weight', 'font-size', 'separator', 'mode', 'dwell', 'max-title-length'].includes(name)) {
           this.updateTickerContent();
         }
       }
@@ -100,9 +564,13 @@ class RSSTickerElement extends HTMLElement {
 
   // Debounces calls to fetchRSSFeed to prevent excessive requests.
   debouncedFetchRSSFeed() {
-    const rssUrl = this.getAttribute('rss-url');
-    if (!rssUrl) {
-      this.showMessage('No RSS URL provided');
+    if (this.getFeedSources().length === 0) {
+      // Server-provided posts can stand on their own; settings such as `max-posts` still apply to them
+      if (this.serverPosts.length > 0) {
+        this.applyFeedPosts(false, false);
+      } else {
+        this.showMessage('No RSS URL provided');
+      }
       return;
     }
 
@@ -113,562 +581,2595 @@ class RSSTickerElement extends HTMLElement {
       clearTimeout(this._fetchDebounceTimeout);
     }
     this._fetchDebounceTimeout = setTimeout(() => {
-      this.fetchRSSFeed();
+      if (this.isLazyPending()) {
+        this.runWhenInView('fetch', () => this.fetchRSSFeed());
+      } else {
+        this.fetchRSSFeed();
+      }
     }, 100); 
   }
 
+  // With loading="lazy", nothing is fetched until the ticker first comes near the viewport
+  isLazyPending() {
+    return this.getAttribute('loading') === 'lazy' && this.feedPosts.size === 0;
+  }
+
+  // Whether the ticker is near the viewport in a visible tab
+  isInView() {
+    return this.inViewport && document.visibilityState !== 'hidden';
+  }
+
+  // Runs `task` now while the ticker is in view, otherwise once it comes back into view. A task
+  // deferred under the same name replaces the earlier one, so missed timer ticks run only once.
+  runWhenInView(name, task) {
+    if (this.isInView()) {
+      task();
+    } else {
+      this.deferredTasks.set(name, task);
+    }
+  }
 
-  // Fetches the RSS feed using multiple proxy services in parallel.  Prioritizes the fastest successful response. Includes caching.
-  
-  async fetchRSSFeed() {
-    const rssUrl = this.getAttribute('rss-url');
-    if (!rssUrl) {
-      this.showMessage('No RSS URL provided');
+  // Called when the ticker scrolls into or out of view and when the tab is shown or hidden. Out of
+  // view the scroll eases to a stop (see getTargetVelocity); back in view the deferred work runs and
+  // the scroll picks up where it stopped.
+  handleViewChange() {
+    if (!this.isInView()) {
       return;
     }
+    const tasks = Array.from(this.deferredTasks.values());
+    this.deferredTasks.clear();
+    tasks.forEach(task => task());
+    this.startScrollLoop();
+  }
 
-    // This prevents redundant fetches if fetchRSSFeed is called multiple times quickly.
-    if (this.isLoading && this._fetchPromise) {
-      return this._fetchPromise;
+
+  // (Re)starts the periodic background refresh. `refresh-interval` is in minutes; 0 or missing disables it.
+  startRefreshTimer() {
+    this.stopRefreshTimer();
+    const minutes = parseFloat(this.getAttribute('refresh-interval'));
+    if (!this.isConnected || isNaN(minutes) || minutes <= 0) {
+      return;
     }
+    this.refreshTimer = setInterval(() => {
+      this.runWhenInView('refresh', () => this.fetchRSSFeed({ background: true }));
+    }, minutes * 60 * 1000);
+  }
 
-    // Attempt to load from cache first
-    const cachedData = this.loadFromCache(rssUrl);
-    if (cachedData) {
-      this.posts = cachedData;
-      this.updateTickerContent();
-      this.isLoading = false; // Ensure loading state is reset
-      this._fetchPromise = Promise.resolve(); // Create a resolved promise to signal completion
-      return this._fetchPromise; // Exit if cached data is found and valid
+  stopRefreshTimer() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
     }
+  }
 
-    this.isLoading = true;
-    this.showMessage('Loading...', '#007bff');
-    this.posts = []; // Clear previous posts immediately
-
-    // Define all proxy services. No hardcoding specific URLs.
-    const services = [{
-      name: 'allorigins',
-      url: `https://api.allorigins.win/get?url=${encodeURIComponent(rssUrl)}`,
-      timeout: 3500, 
-      parseXML: true
-    }, {
-      name: 'jsonp-proxy',
-      url: `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(rssUrl)}`,
-      timeout: 3000, 
-      parseXML: true
-    }, {
-      name: 'rss2json', // This proxy is now always included
-      url: `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(rssUrl)}`,
-      timeout: 3000,
-      parseXML: false
-    }];
-
-    let success = false;
-    let errors = [];
+  // Relative dates ("3 hours ago") are re-rendered every minute while the ticker is on the page
+  startDateTimer() {
+    this.stopDateTimer();
+    if (!this.isConnected || (this.getDateFormat() !== 'relative' && !this.hasAttribute('new-within'))) {
+      return;
+    }
+    this.dateTimer = setInterval(() => {
+      this.runWhenInView('dates', () => {
+        if (this.hasAttribute('pin-new')) {
+          this.applyFeedPosts(true, false); // Headlines that are no longer new drop back into place
+        }
+        this.refreshDates();
+      });
+    }, 60 * 1000);
+  }
 
-    // Store the promise to prevent concurrent calls
-    this._fetchPromise = (async () => {
-      try {
-        // Attempt 1: Race all services in parallel, each with retries
-        await Promise.race(services.map(service => this.fetchServiceWithRetries(service, rssUrl, 2))); // 2 retries per service
-        success = true;
-      } catch (error) {
-        // This catch block will only be hit if the *first* promise to settle in the race rejects.
-        // It doesn't mean all failed, just that the first one to finish failed.
-        // Proceed to sequential fallback for more detailed attempts.
-       null;
-      }
+  stopDateTimer() {
+    if (this.dateTimer) {
+      clearInterval(this.dateTimer);
+      this.dateTimer = null;
+    }
+  }
 
-      // If the race didn't result in a success, try services sequentially as a fallback
-      if (!success) {
-        for (const service of services) {
-          try {
-            await this.fetchServiceWithRetries(service, rssUrl, 2); // 2 retries per service
-            success = true;
-            break; // Stop on the first successful sequential fetch
-          } catch (error) {
-            errors.push(`${service.name}: ${error.message}`);
-          }
+  // Re-renders the headlines with freshly formatted dates; the scroll continues where it is and the
+  // rotating modes keep their headline. Skipped while the pointer or focus is on the ticker, so
+  // nothing changes under the reader.
+  refreshDates() {
+    const content = this.shadowRoot.querySelector('.ticker-content');
+    if (!content || this._posts.length === 0 || this.isHovered || content.contains(this.shadowRoot.activeElement)) {
+      return;
+    }
+    this.updateTickerContent();
+  }
+
+  // Browsers only know for sure when there is no connection, so `navigator.onLine` is trusted when
+  // it is false; being "online" does not guarantee the proxies can be reached
+  isOffline() {
+    return navigator.onLine === false;
+  }
+
+  handleConnectivityChange(online) {
+    this.toggleAttribute('offline', !online);
+    const status = this.shadowRoot.querySelector('.ticker-status');
+    if (status && this._posts.length > 0) {
+      status.textContent = online ? 'Back online' : 'Offline, showing saved headlines';
+    }
+    if (online) {
+      this.fetchRSSFeed({ background: this._posts.length > 0 });
+    }
+  }
+
+  // Shows the posts provided with the page right away and fetches the feeds later, once the page is
+  // idle (never with `no-fetch`). Without such posts the feeds are fetched at once.
+  loadInitialPosts() {
+    this.serverPosts = this.readServerPosts();
+    if (this.serverPosts.length === 0) {
+      // Debounce the initial fetch. This is crucial if connectedCallback fires multiple times.
+      this.debouncedFetchRSSFeed();
+      return;
+    }
+
+    // Upgrading the element runs the attribute callbacks first, which may have scheduled a fetch
+    if (this._fetchDebounceTimeout) {
+      clearTimeout(this._fetchDebounceTimeout);
+      this._fetchDebounceTimeout = null;
+    }
+    this.applyFeedPosts(false);
+    if (this.getFeedSources().length > 0) {
+      const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 1));
+      whenIdle(() => {
+        if (!this.isConnected) {
+          return;
+        }
+        if (this.isLazyPending()) {
+          this.runWhenInView('fetch', () => this.fetchRSSFeed({ background: true }));
+        } else {
+          this.fetchRSSFeed({ background: true });
         }
+      });
+    }
+  }
+
+  // Posts rendered into the page by the server: a <script type="application/json"> child holding an
+  // array of posts (or `{ "posts": [...] }`), or else light-DOM <a> children, which crawlers see too:
+  // <a href="..." data-date="2024-03-02T10:00:00Z" data-domain="Blog">Title</a>
+  readServerPosts() {
+    const script = this.querySelector(':scope > script[type="application/json"]');
+    if (script) {
+      let data = null;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch {
+        return [];
       }
+      const items = Array.isArray(data) ? data : (data && Array.isArray(data.posts) ? data.posts : []);
+      return items.map(item => this.normalizeServerPost(item)).filter(Boolean);
+    }
 
-      this.isLoading = false;
-      this._fetchPromise = null; // Clear the promise once all attempts are done
+    return Array.from(this.querySelectorAll(':scope > a[href]'))
+      .map(anchor => {
+        const timeEl = anchor.querySelector('time[datetime]');
+        return this.normalizeServerPost({
+          ...anchor.dataset,
+          // A <time> inside the link gives the date; its text is not part of the title
+          title: Array.from(anchor.childNodes)
+            .filter(node => node !== timeEl)
+            .map(node => node.textContent)
+            .join(''),
+          link: anchor.getAttribute('href'),
+          date: anchor.dataset.date || (timeEl ? timeEl.getAttribute('datetime') : null),
+          categories: anchor.dataset.categories ? anchor.dataset.categories.split(',') : []
+        });
+      })
+      .filter(Boolean);
+  }
 
-      if (success) {
-        this.saveToCache(rssUrl, this.posts); // Save successful fetch to cache
-        this.updateTickerContent();
-      } else {
-        // Display error message if all attempts fail
-        this.showMessage(`All RSS services failed for ${this.extractDomain(rssUrl)}. Errors: ${errors.map(e => e.split(':')[0]).join(', ')}.`, '#dc3545');
+  // Brings a server-provided post into the shape the feed parsers produce. Posts need a title.
+  normalizeServerPost(item) {
+    if (!item || typeof item.title !== 'string' || !item.title.trim()) {
+      return null;
+    }
+    const link = this.resolveFeedUrl(typeof item.link === 'string' ? item.link : '', document.baseURI) || '#';
+    const rawDate = item.isoDate || item.date || null;
+    const parsedDate = new Date(rawDate);
+    const isoDate = rawDate && !isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : null;
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+
+    return {
+      domain: text(item.domain) || this.extractDomain(link),
+      date: isoDate ? this.formatDate(parsedDate) : 'No date',
+      isoDate,
+      rawDate: rawDate ? String(rawDate) : null,
+      title: item.title.trim(),
+      guid: item.guid ? String(item.guid) : null,
+      link,
+      categories: (Array.isArray(item.categories) ? item.categories : [])
+        .map(category => String(category).trim())
+        .filter(Boolean),
+      author: text(item.author),
+      summary: text(item.summary),
+      image: text(item.image),
+      enclosure: text(item.enclosure),
+      enclosureType: text(item.enclosureType)
+    };
+  }
+
+  // Collects the feeds to display: the `rss-url` attribute holds one or more whitespace-separated
+  // URLs, and <rss-source url="..." label="..."> children add further feeds with an optional label.
+  getFeedSources() {
+    const sources = (this.getAttribute('rss-url') || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(url => ({ url, label: null }));
+
+    this.querySelectorAll('rss-source[url]').forEach(sourceEl => {
+      const url = sourceEl.getAttribute('url').trim();
+      if (url) {
+        sources.push({ url, label: sourceEl.getAttribute('label') || null });
       }
-    })();
+    });
 
-    return this._fetchPromise; // Return the promise for external chaining if needed
+    // A feed listed more than once is only fetched once
+    return sources.filter((source, index) => sources.findIndex(s => s.url === source.url) === index);
   }
 
-  // Attempts to fetch from a service with a specified number of retries.
-  async fetchServiceWithRetries(service, rssUrl, retriesLeft) {
-    try {
-      return await this.fetchService(service, rssUrl);
-    } catch (error) {
-      if (retriesLeft > 0) {
-        await new Promise(resolve => setTimeout(resolve, 500)); 
-        return this.fetchServiceWithRetries(service, rssUrl, retriesLeft - 1);
-      } else {
-        throw error; // No retries left, re-throw the error
+  // Dispatches an `rss-ticker:<type>` event that bubbles out of the shadow root. Returns false when
+  // a cancelable event was cancelled.
+  emit(type, detail, { cancelable = false } = {}) {
+    return this.dispatchEvent(new CustomEvent(`rss-ticker:${type}`, {
+      detail,
+      bubbles: true,
+      composed: true,
+      cancelable
+    }));
+  }
+
+  // Fetches every configured feed concurrently and merges their posts into one ticker.
+  // A feed that fails is left out; the error message is only shown when every feed fails.
+  // A background refresh keeps the current posts on screen and only touches the ticker when
+  // posts were added or removed. `force` skips fresh cache entries and goes to the network.
+  async fetchRSSFeed({ background = false, force = false } = {}) {
+    const sources = this.getFeedSources();
+    if (this.hasAttribute('no-fetch')) {
+      this.cancelFetch();
+      return;
+    }
+    if (sources.length === 0) {
+      this.cancelFetch();
+      // Server-provided posts can stand on their own
+      if (this.serverPosts.length === 0) {
+        this.showMessage('No RSS URL provided');
       }
+      return;
     }
-  }
 
-  // Helper function to fetch from a single service.
-  
-  async fetchService(service, rssUrl) {
+    // This prevents redundant fetches if fetchRSSFeed is called multiple times quickly. A fetch for
+    // other feeds or proxies (e.g. a new `rss-url`), or a forced fetch while the one in progress may
+    // be served from the cache, replaces the one in progress instead.
+    const fetchKey = this.getFetchKey(sources);
+    if (this.isLoading && this._fetchPromise && this._fetchKey === fetchKey && (this._fetchForced || !force)) {
+      return this._fetchPromise;
+    }
+    this.cancelFetch();
+
     const controller = new AbortController();
-    // Set up a timeout to abort the fetch if it takes too long
-    const timeoutId = setTimeout(() => controller.abort(), service.timeout);
+    const { signal } = controller;
+    this._fetchController = controller;
+    this._fetchKey = fetchKey;
+    this._fetchForced = force;
+    this.isLoading = true;
+    this.emit('loading', {
+      urls: sources.map(source => source.url),
+      background
+    });
 
-    try {
-      const response = await fetch(service.url, {
-        signal: controller.signal,
-        // No custom headers to avoid CORS preflight issues with proxies
-      });
+    // Store the promise to prevent concurrent calls
+    this._fetchPromise = (async () => {
+      const cachedEntries = await Promise.all(sources.map(source => this.loadFromCache(source.url)));
+      if (signal.aborted) {
+        return;
+      }
 
-      clearTimeout(timeoutId); // Clear the timeout if fetch completes in time
+      // Only show the loading state when at least one feed has to go to the network
+      if (!background && cachedEntries.some(entry => !entry)) {
+        this.showMessage('Loading...', '#007bff');
+        this._posts = []; // Clear previous posts immediately
+      }
 
-      if (!response.ok) {
-        // Attempt to read response body for more detailed error logging
-        const errorText = await response.text().catch(() => 'No response body');
-        throw new Error(`HTTP ${response.status}: ${response.statusText || 'Unknown Error'}`);
+      const results = await Promise.allSettled(sources.map((source, index) => this.fetchFeed(source, cachedEntries[index], force, signal)));
+      if (signal.aborted) {
+        return; // Superseded or disconnected; the old feeds must not replace the current posts
       }
 
-      let rawData;
-      if (service.parseXML) {
-        // Handle XML parsing for allorigins and codetabs
-        if (service.name === 'allorigins') {
-          const json = await response.json();
-          if (!json.contents || typeof json.contents !== 'string' || json.contents.length < 100) {
-            throw new Error('AllOrigins returned empty, non-string, or too short content');
-          }
-          rawData = json.contents;
-
-          // Handle data: URI returned by allorigins
-          if (rawData.startsWith('data:')) {
-              const parts = rawData.split(',');
-              if (parts.length > 1) {
-                  const mimeTypeAndEncoding = parts[0].substring(5); // Remove 'data:'
-                  const base64Content = parts[1];
-                  // Check if it's base64 encoded
-                  if (mimeTypeAndEncoding.includes('base64')) {
-                      try {
-                          rawData = atob(base64Content); // Decode base64
-                      } catch (e) {
-                          throw new Error('Failed to decode base64 content from allorigins');
-                      }
-                  } else {
-                      // If not base64, assume it's URL-encoded or plain text
-                      rawData = decodeURIComponent(base64Content);
-                  }
-              }
-          }
+      this.isLoading = false;
+      this._fetchPromise = null; // Clear the promise once all feeds have settled
+      this._fetchController = null;
 
-        } else { // jsonp-proxy
-          rawData = await response.text();
-          if (!rawData || rawData.length < 100) {
-            throw new Error('Empty or too short response from proxy');
-          }
-        }
+      // The feeds changed while they were loading (the new ones are fetched once the debounce fires)
+      if (this.getFetchKey(this.getFeedSources()) !== fetchKey) {
+        return;
+      }
 
-        // More robust check for non-XML content
-        if (!rawData.trim().startsWith('<') || (!rawData.includes('<rss') && !rawData.includes('<feed') && !rawData.includes('<channel'))) {
-            throw new Error('Response does not appear to be a valid RSS/XML feed');
-        }
-        this.parseXMLFeed(rawData, rssUrl);
-      } else { // JSON service (rss2json)
-        const jsonData = await response.json();
-        if (jsonData.status !== 'ok') {
-          throw new Error(jsonData.message || 'RSS2JSON service error');
-        }
-        this.parseJSONFeed(jsonData, jsonData, rssUrl); // Pass jsonData twice, first for data, second for original response for context
+      if (!this.applyFeedPosts(background) && !background) {
+        // Display error message if every feed failed
+        const messages = results
+          .filter(result => result.status === 'rejected')
+          .map(result => result.reason.message);
+        this.showMessage(messages.join(' '), '#dc3545');
       }
-      return true;
-    } catch (error) {
-      clearTimeout(timeoutId); // Ensure timeout is cleared even on error
-      throw error; // Re-throw the error to be caught by Promise.race or the sequential loop
+    })();
+
+    return this._fetchPromise; // Return the promise for external chaining if needed
+  }
+
+  // Identifies what a fetch loads: the feeds, the proxies and the cache they go through
+  getFetchKey(sources) {
+    return JSON.stringify([sources.map(source => source.url), this.getAttribute('proxies'), this.getCacheStorage()]);
+  }
+
+  // Aborts the fetch in progress, if any, and drops its results. Requests shared with other tickers
+  // keep running while another ticker still waits for them.
+  cancelFetch() {
+    if (this._fetchController) {
+      this._fetchController.abort();
+      this._fetchController = null;
     }
+    this._fetchKey = null;
+    this._fetchForced = false;
+    this.isLoading = false;
+    this._fetchPromise = null;
   }
 
-  // --- Caching Logic ---
-  loadFromCache(rssUrl) {
-    try {
-      const cacheKey = `rss_ticker_cache_${btoa(rssUrl)}`; // Base64 encode URL for safe key
-      const cachedItem = localStorage.getItem(cacheKey);
-      if (cachedItem) {
-        const {
-          data,
-          timestamp
-        } = JSON.parse(cachedItem);
-        const cacheDuration = 1000 * 60 * 30; // 30 minutes cache duration
-        if (Date.now() - timestamp < cacheDuration) {
-          return data;
-        } else {
-          localStorage.removeItem(cacheKey);
+  // Loads a single feed into `this.feedPosts` and resolves with its posts, each labelled with the
+  // source's label or domain. A fresh cache entry is used as-is; an expired one is served right away
+  // while it is revalidated in the background. Feeds without a cached copy, or all feeds when `force`
+  // is set, wait for the network, falling back to the cached copy if every proxy fails. Aborting
+  // `signal` rejects at once without touching the feed.
+  async fetchFeed(source, cachedEntry, force = false, signal) {
+    const rssUrl = source.url;
+    let posts;
+
+    if (cachedEntry && !force) {
+      posts = cachedEntry.data;
+      this.feedOrigins.set(rssUrl, 'cache');
+      if (cachedEntry.expired) {
+        this.revalidateFeed(source, signal);
+      } else {
+        this.staleFeeds.delete(rssUrl);
+      }
+    } else {
+      try {
+        const result = await this.requestFeed(rssUrl, signal); // Also saves the feed to the cache
+        posts = result.posts;
+        this.feedOrigins.set(rssUrl, result.service);
+        this.staleFeeds.delete(rssUrl);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error; // Cancelled, not failed; nothing to report
         }
+        this.reportFeedError(rssUrl, error, Boolean(cachedEntry));
+        if (!cachedEntry) {
+          throw error;
+        }
+        posts = cachedEntry.data;
+        this.feedOrigins.set(rssUrl, 'cache');
+        this.staleFeeds.add(rssUrl);
       }
-    } catch (e) {
-      localStorage.removeItem(`rss_ticker_cache_${btoa(rssUrl)}`); // Clear corrupted cache
     }
-    return null;
+
+    const labelledPosts = this.labelPosts(posts, source);
+    this.feedPosts.set(rssUrl, labelledPosts);
+    return labelledPosts;
   }
 
-  saveToCache(rssUrl, data) {
+  // Fetches an expired feed again without blocking the ticker. If every proxy fails the last good
+  // copy stays on screen and the ticker is marked as stale.
+  async revalidateFeed(source, signal) {
+    const rssUrl = source.url;
+    if (this.revalidatingFeeds.has(rssUrl)) {
+      return;
+    }
+    this.revalidatingFeeds.add(rssUrl);
+
     try {
-      const cacheKey = `rss_ticker_cache_${btoa(rssUrl)}`;
-      const item = {
-        data: data,
-        timestamp: Date.now()
+      const { posts, service } = await this.requestFeed(rssUrl, signal);
+      this.staleFeeds.delete(rssUrl);
+      this.feedPosts.set(rssUrl, this.labelPosts(posts, source));
+      this.feedOrigins.set(rssUrl, service);
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        this.staleFeeds.add(rssUrl);
+        this.reportFeedError(rssUrl, error, true);
+      }
+    } finally {
+      this.revalidatingFeeds.delete(rssUrl);
+    }
+
+    // A fetch still in progress merges the revalidated feed itself once it settles
+    if (!this.isLoading && !(signal && signal.aborted)) {
+      this.applyFeedPosts(true);
+    }
+  }
+
+  // Dispatches `rss-ticker:error` for a feed whose proxies all failed. `stale` tells whether
+  // a cached copy is shown in its place.
+  reportFeedError(rssUrl, error, stale) {
+    console.warn(`[rss-ticker] ${error.message}${stale ? ' Showing the cached copy.' : ''}`, error.errors || []);
+    this.emit('error', {
+      url: rssUrl,
+      message: error.message,
+      errors: error.errors || [],
+      stale
+    });
+  }
+
+  labelPosts(posts, source) {
+    const domain = source.label || this.extractDomain(source.url);
+    return posts.map(post => ({ ...post, domain }));
+  }
+
+  // Merges the loaded posts of the current feeds into the ticker, reflects staleness in the `stale`
+  // attribute and dispatches `rss-ticker:loaded` unless `notify` is false. In the background the ticker
+  // is only updated when the posts changed, and the scroll continues where it is. Returns false when
+  // no feed has posts.
+  applyFeedPosts(background, notify = true) {
+    const sources = this.getFeedSources();
+    const loadedFeeds = sources
+      .map(source => this.feedPosts.get(source.url))
+      .filter(Boolean);
+
+    this.toggleAttribute('stale', sources.some(source => this.staleFeeds.has(source.url)));
+
+    // Server-provided posts stand in until a feed has loaded
+    const fromServer = loadedFeeds.length === 0 && this.serverPosts.length > 0;
+    if (fromServer) {
+      loadedFeeds.push(this.serverPosts);
+    }
+
+    if (loadedFeeds.length === 0) {
+      return false;
+    }
+
+    const posts = this.mergeFeedPosts(loadedFeeds);
+    if (!background || this.havePostsChanged(posts)) {
+      this._posts = posts;
+      this.updateTickerContent();
+    }
+
+    if (!notify) {
+      return true;
+    }
+
+    const feeds = sources
+      .filter(source => this.feedPosts.has(source.url))
+      .map(source => ({
+        url: source.url,
+        source: this.feedOrigins.get(source.url),
+        stale: this.staleFeeds.has(source.url)
+      }));
+    const origins = [...new Set(feeds.map(feed => feed.source))];
+    this.emit('loaded', {
+      posts: this.posts,
+      source: fromServer ? 'server' : (origins.length === 1 ? origins[0] : 'mixed'),
+      feeds
+    });
+    return true;
+  }
+
+  // Resolves the proxy services this ticker uses for a feed URL. The `proxies` attribute picks
+  // registered services by name, in fallback order; otherwise the default proxy list is used.
+  getProxyServices(rssUrl) {
+    const proxiesAttr = this.getAttribute('proxies');
+    const names = proxiesAttr ? proxiesAttr.split(/[\s,]+/).filter(Boolean) : RSSTickerElement.defaultProxies;
+
+    return names
+      .filter(name => RSSTickerElement.proxyServices.has(name))
+      .map(name => {
+        const config = RSSTickerElement.proxyServices.get(name);
+        const url = typeof config.url === 'function'
+          ? config.url(rssUrl)
+          : config.url.replace('{url}', encodeURIComponent(rssUrl)).replace('{rawUrl}', rssUrl);
+        return {
+          name,
+          url,
+          timeout: config.timeout,
+          format: config.format
+        };
+      });
+  }
+
+  // Fetches a feed through the proxies and saves it to the cache. Tickers on the page asking for the
+  // same feed through the same proxies and cache share one request, registered in
+  // `RSSTickerElement.pendingRequests`; it is recorded in the metrics of the ticker that started it.
+  // Aborting `signal` only stops waiting; the request itself is aborted once no ticker waits for it.
+  requestFeed(rssUrl, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const storage = this.getCacheStorage();
+    const key = JSON.stringify([rssUrl, this.getProxyServices(rssUrl).map(service => service.url), storage]);
+    const requests = RSSTickerElement.pendingRequests;
+    let request = requests.get(key);
+
+    if (!request) {
+      const controller = new AbortController();
+      request = { controller, waiting: 0 };
+      request.promise = (async () => {
+        const result = await this.fetchFromServices(rssUrl, controller.signal);
+        await this.saveToCache(rssUrl, result.posts);
+        return result;
+      })();
+      request.promise
+        .catch(() => {}) // Each ticker handles the failure itself
+        .then(() => {
+          if (requests.get(key) === request) {
+            requests.delete(key);
+          }
+        });
+      requests.set(key, request);
+    }
+
+    request.waiting++;
+    return new Promise((resolve, reject) => {
+      let waiting = true;
+      const leave = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        if (waiting) {
+          waiting = false;
+          request.waiting--;
+        }
+      };
+      const onAbort = () => {
+        leave();
+        if (request.waiting === 0) {
+          request.controller.abort();
+          if (requests.get(key) === request) {
+            requests.delete(key);
+          }
+        }
+        reject(signal.reason);
       };
-      localStorage.setItem(cacheKey, JSON.stringify(item));
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      request.promise.then(result => {
+        leave();
+        resolve(result);
+      }, error => {
+        leave();
+        reject(error);
+      });
+    });
+  }
+
+  // Fetches one feed using multiple proxy services in parallel. Prioritizes the fastest successful response;
+  // the other racers are aborted as soon as one service succeeds. Resolves with `{ posts, service }`; when every
+  // service fails, the thrown error lists each service's failure in `error.errors`. Aborting `signal`
+  // stops every request and rejects with its reason.
+  async fetchFromServices(rssUrl, signal) {
+    const services = this.getProxyServices(rssUrl);
+    if (services.length === 0) {
+      throw new Error(`No proxy services configured for ${this.extractDomain(rssUrl)}.`);
+    }
+    // Racing the proxies is pointless without a connection; fail at once so a cached copy is shown
+    if (this.isOffline()) {
+      throw new Error(`Offline: ${this.extractDomain(rssUrl)} cannot be reached.`);
+    }
+
+    let result = null;
+    let errors = [];
+    const raceErrors = new Map(); // How each service failed in the race, by name
+
+    const raceController = new AbortController();
+    const abortRace = () => raceController.abort();
+    if (signal) {
+      signal.addEventListener('abort', abortRace);
+    }
+
+    try {
+      // Attempt 1: Race all services in parallel, each with retries. The first success wins; a service
+      // that fails does not end the race while the others are still trying.
+      result = await Promise.any(services.map(service =>
+        this.fetchServiceWithRetries(service, rssUrl, 2, 1, raceController.signal) // 2 retries per service
+          .then(posts => ({ posts, service: service.name }), error => {
+            raceErrors.set(service.name, error);
+            throw error;
+          })
+      ));
+    } catch (error) {
+      // Every service failed (AggregateError). Proceed to the sequential fallback, which only
+      // retries services whose retries were cut short.
+    } finally {
+      // Stop the services still running once one has succeeded, and their retries
+      raceController.abort();
+      if (signal) {
+        signal.removeEventListener('abort', abortRace);
+      }
+    }
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+
+    // If the race didn't result in a success, try services sequentially as a fallback
+    if (!result) {
+      for (const service of services) {
+        const raceError = raceErrors.get(service.name);
+        // A service that used up its retries in the race is not tried again
+        if (raceError && !raceError.retriesLeft) {
+          errors.push({ service: service.name, message: raceError.message });
+          continue;
+        }
+        if (this.isOffline()) {
+          errors.push({ service: service.name, message: 'Offline' });
+          continue;
+        }
+        try {
+          const retries = raceError ? raceError.retriesLeft - 1 : 2; // The retries the race left over
+          const posts = await this.fetchServiceWithRetries(service, rssUrl, retries, 1, signal);
+          result = { posts, service: service.name };
+          break; // Stop on the first successful sequential fetch
+        } catch (error) {
+          if (signal && signal.aborted) {
+            throw signal.reason;
+          }
+          errors.push({ service: service.name, message: error.message });
+        }
+      }
+    }
+
+    if (!result) {
+      const error = new Error(`All RSS services failed for ${this.extractDomain(rssUrl)}. Errors: ${errors.map(e => `${e.service} (${e.message})`).join(', ')}.`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return result;
+  }
+
+  // Combines the posts of every loaded feed, applies the filters, drops duplicates and orders them
+  // according to `sort`. With `pin-new`, posts within `new-within` come first.
+  mergeFeedPosts(feeds) {
+    const feedIndexes = new Map(); // Which feed each post came from
+    feeds.forEach((feed, index) => feed.forEach(post => feedIndexes.set(post, index)));
+
+    let posts = this.dedupePosts(this.filterPosts(feeds.flat()), feedIndexes);
+    posts = this.sortPosts(posts, feedIndexes, feeds.length);
+    if (this.hasAttribute('pin-new')) {
+      posts = [...posts.filter(post => this.isNewPost(post)), ...posts.filter(post => !this.isNewPost(post))];
+    }
+    return posts.slice(0, this.getMaxPosts());
+  }
+
+  // The `sort` order: 'newest', 'oldest', 'feed-order', 'interleave' or 'random' ('shuffle').
+  // By default a single feed keeps its own order and several feeds are sorted newest first.
+  getSortOrder(feedCount) {
+    const sort = (this.getAttribute('sort') || '').trim().toLowerCase();
+    if (sort === 'shuffle') {
+      return 'random';
+    }
+    if (['newest', 'oldest', 'feed-order', 'interleave', 'random'].includes(sort)) {
+      return sort;
+    }
+    return feedCount > 1 ? 'newest' : 'feed-order';
+  }
+
+  // Orders the posts by publication date (undated posts last), keeps the feeds' own order
+  // ('feed-order' lists the feeds one after another, 'interleave' takes one post from each in turn)
+  // or shuffles them. The shuffle is stable: a post keeps its place across refreshes and re-renders.
+  sortPosts(posts, feedIndexes, feedCount) {
+    const order = this.getSortOrder(feedCount);
+
+    if (order === 'newest' || order === 'oldest') {
+      const direction = order === 'newest' ? -1 : 1;
+      return [...posts].sort((a, b) => {
+        const timeA = this.getPostTime(a);
+        const timeB = this.getPostTime(b);
+        if (!timeA || !timeB) {
+          return (timeA ? 0 : 1) - (timeB ? 0 : 1);
+        }
+        return (timeA - timeB) * direction;
+      });
+    }
+
+    if (order === 'interleave') {
+      const perFeed = Array.from({ length: feedCount }, () => []);
+      posts.forEach(post => perFeed[feedIndexes.get(post)].push(post));
+      const interleaved = [];
+      for (let round = 0; interleaved.length < posts.length; round++) {
+        perFeed.forEach(feedPosts => {
+          if (round < feedPosts.length) {
+            interleaved.push(feedPosts[round]);
+          }
+        });
+      }
+      return interleaved;
+    }
+
+    if (order === 'random') {
+      const keys = new Map(posts.map(post => {
+        const key = this.getPostKey(post);
+        return [key, this.shuffleKeys.has(key) ? this.shuffleKeys.get(key) : Math.random()];
+      }));
+      this.shuffleKeys = keys; // Posts that left the feed are forgotten
+      return [...posts].sort((a, b) => keys.get(this.getPostKey(a)) - keys.get(this.getPostKey(b)));
+    }
+
+    return posts;
+  }
+
+  // What `dedupe` compares: any of 'guid', 'link' and 'title', or 'none'. Defaults to guid and link.
+  getDedupeModes() {
+    const value = this.getAttribute('dedupe');
+    if (value === null) {
+      return ['guid', 'link'];
+    }
+    return value.toLowerCase().split(/[\s,]+/).filter(mode => ['guid', 'link', 'title'].includes(mode));
+  }
+
+  // Drops posts that repeat an earlier one, such as a story syndicated to several of the feeds.
+  // Posts match on their guid, their canonical link (ignoring the scheme, "www.", trailing slashes
+  // and tracking parameters) or, with 'title', their title ignoring case, accents and punctuation.
+  dedupePosts(posts, feedIndexes) {
+    const modes = this.getDedupeModes();
+    if (modes.length === 0) {
+      return posts;
+    }
+
+    const seen = new Set();
+    return posts.filter(post => {
+      const keys = [];
+      if (modes.includes('guid') && post.guid) {
+        // Guids that are not URLs are only unique within their own feed
+        keys.push(/^https?:\/\//i.test(post.guid) ? `guid:${post.guid}` : `guid:${feedIndexes.get(post)}:${post.guid}`);
+      }
+      if (modes.includes('link')) {
+        const link = this.getCanonicalLink(post.link);
+        if (link) {
+          keys.push(`link:${link}`);
+        }
+      }
+      if (modes.includes('title')) {
+        const title = this.getTitleKey(post.title);
+        if (title) {
+          keys.push(`title:${title}`);
+        }
+      }
+
+      const duplicate = keys.some(key => seen.has(key));
+      keys.forEach(key => seen.add(key));
+      return !duplicate;
+    });
+  }
+
+  getCanonicalLink(link) {
+    try {
+      const url = new URL(link);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return null;
+      }
+      Array.from(url.searchParams.keys())
+        .filter(name => /^(utm_.+|fbclid|gclid|mc_cid|mc_eid)$/i.test(name))
+        .forEach(name => url.searchParams.delete(name));
+      url.searchParams.sort();
+      return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`;
     } catch (e) {
-      // Silent fail
+      return null;
     }
   }
-  // --- End Caching Logic ---
 
-  parseXMLFeed(xmlString, rssUrl) {
+  getTitleKey(title) {
+    return String(title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Accents
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // Whether a post was published within the last `new-within` hours
+  isNewPost(post) {
+    const hours = parseFloat(this.getAttribute('new-within'));
+    const time = this.getPostTime(post);
+    return !isNaN(hours) && hours > 0 && time > 0 && Date.now() - time < hours * 60 * 60 * 1000;
+  }
+
+  // Applies the `include`/`exclude` title patterns, the `categories`/`exclude-categories` lists,
+  // `max-age` (in days) and finally the `postFilter` predicate
+  filterPosts(posts) {
+    const includePatterns = this.getPatternList('include');
+    const excludePatterns = this.getPatternList('exclude');
+    const includeCategories = this.getCategoryList('categories');
+    const excludeCategories = this.getCategoryList('exclude-categories');
+    const maxAgeDays = parseFloat(this.getAttribute('max-age'));
+    const oldestTime = !isNaN(maxAgeDays) && maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const filtered = posts.filter(post => {
+      if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(post.title))) {
+        return false;
+      }
+      if (excludePatterns.some(pattern => pattern.test(post.title))) {
+        return false;
+      }
+
+      const postCategories = (post.categories || []).map(category => category.toLowerCase());
+      if (includeCategories.length > 0 && !includeCategories.some(category => postCategories.includes(category))) {
+        return false;
+      }
+      if (excludeCategories.some(category => postCategories.includes(category))) {
+        return false;
+      }
+
+      // Posts without a date are kept; their age is unknown
+      const time = this.getPostTime(post);
+      if (oldestTime !== null && time > 0 && time < oldestTime) {
+        return false;
+      }
+      return true;
+    });
+
+    return this._postFilter ? filtered.filter(this._postFilter) : filtered;
+  }
+
+  // Parses a comma-separated list of keywords and /regex/flags literals into regular expressions.
+  // Keywords match case-insensitively anywhere in the text.
+  getPatternList(attribute) {
+    const value = this.getAttribute(attribute) || '';
+    const tokens = value.match(/\s*\/(?:\\.|[^/])+\/[a-z]*\s*(?=,|$)|[^,]+/g) || [];
+
+    return tokens
+      .map(token => token.trim())
+      .filter(Boolean)
+      .map(token => {
+        const regexLiteral = token.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexLiteral) {
+          try {
+            return new RegExp(regexLiteral[1], regexLiteral[2].replace(/[gy]/g, '')); // Stateless for test()
+          } catch (e) {
+            // Not a valid regex, match it as a keyword instead
+          }
+        }
+        return new RegExp(token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      });
+  }
+
+  getCategoryList(attribute) {
+    return (this.getAttribute(attribute) || '')
+      .split(',')
+      .map(category => category.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Publication time of a post in milliseconds, or 0 when the feed did not provide a usable date
+  getPostTime(post) {
+    const time = post.isoDate ? Date.parse(post.isoDate) : NaN;
+    return isNaN(time) ? 0 : time;
+  }
+
+  // Identifies a post across refreshes: its guid when the feed provides one, else its link or title
+  getPostKey(post) {
+    return post.guid || (post.link && post.link !== '#' ? post.link : post.title);
+  }
+
+  havePostsChanged(posts) {
+    if (posts.length !== this._posts.length) {
+      return true;
+    }
+    return posts.some((post, index) => this.getPostKey(post) !== this.getPostKey(this._posts[index]));
+  }
+
+  // Works out where the scroll should continue once `posts` replace the rendered posts: the headline at
+  // the leading edge of the ticker stays where it is, so new headlines are spliced in around it.
+  // Returns null (start from the beginning) when that headline is no longer in the feed.
+  getResumeOffset(posts) {
+    const container = this.shadowRoot.querySelector('.ticker-container');
+    const content = this.shadowRoot.querySelector('.ticker-content');
+    const links = content ? Array.from(content.querySelectorAll('.post-item')) : [];
+    if (!container || links.length === 0 || this.lastMeasuredCycleWidth === 0) {
+      return null;
+    }
+
+    const offset = this.scrollOffset;
+    const anchorIndex = links.findIndex(link => this.getItemStart(link) + link.offsetWidth > offset);
+    if (anchorIndex === -1) {
+      return null;
+    }
+
+    const anchorKey = this.getPostKey(this.renderedPosts[anchorIndex % this.renderedPosts.length]);
+    const newIndex = posts.findIndex(post => this.getPostKey(post) === anchorKey);
+    if (newIndex === -1) {
+      return null;
+    }
+
+    return {
+      index: newIndex,
+      delta: this.getItemStart(links[anchorIndex]) - offset // Anchor's distance from the leading edge
+    };
+  }
+
+  getMaxPosts() {
+    const maxPostsAttr = this.getAttribute('max-posts');
+    return (maxPostsAttr && !isNaN(parseInt(maxPostsAttr))) ? parseInt(maxPostsAttr) : Infinity;
+  }
+
+  // Attempts to fetch from a service with a specified number of retries. Nothing is retried once `signal`
+  // is aborted. When the connection drops before the retries are used up, the thrown error's
+  // `retriesLeft` tells how many are left.
+  async fetchServiceWithRetries(service, rssUrl, retriesLeft, attempt = 1, signal) {
     try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+      return await this.fetchService(service, rssUrl, attempt, signal);
+    } catch (error) {
+      if (retriesLeft > 0 && !this.isOffline() && !(signal && signal.aborted)) {
+        await new Promise(resolve => setTimeout(resolve, 500)); 
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        return this.fetchServiceWithRetries(service, rssUrl, retriesLeft - 1, attempt + 1, signal);
+      } else {
+        error.retriesLeft = retriesLeft;
+        throw error; // No retries left, re-throw the error
+      }
+    }
+  }
+
+  // Helper function to fetch from a single service. Every attempt is recorded with recordMetric:
+  // its latency, HTTP status, response size and how it ended. Aborting `signal` cancels the request.
+  async fetchService(service, rssUrl, attempt = 1, signal) {
+    const controller = new AbortController();
+    // Set up a timeout to abort the fetch if it takes too long
+    const timeoutId = setTimeout(() => controller.abort(), service.timeout);
+    const cancel = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', cancel);
+    }
+    const startTime = performance.now();
+    const metric = { feed: rssUrl, service: service.name, attempt };
+    let phase = 'network'; // Where a failure happened: 'network', 'http' or 'parse'
+
+    try {
+      const response = await fetch(service.url, {
+        signal: controller.signal,
+        // No custom headers to avoid CORS preflight issues with proxies
+      });
+
+      clearTimeout(timeoutId); // Clear the timeout if fetch completes in time
+      metric.status = response.status;
+
+      if (!response.ok) {
+        phase = 'http';
+        // Keep the start of the response body; proxies often explain the failure there
+        const errorText = await response.text().catch(() => 'No response body');
+        metric.body = errorText.slice(0, 200);
+        throw new Error(`HTTP ${response.status}: ${response.statusText || 'Unknown Error'}`);
+      }
+
+      const text = await response.text();
+      metric.bytes = new TextEncoder().encode(text).length;
+      phase = 'parse';
+      const posts = this.parseServiceResponse(service, text, rssUrl);
+      this.recordMetric({ ...metric, duration: performance.now() - startTime, outcome: 'ok', posts: posts.length });
+      return posts;
+    } catch (error) {
+      clearTimeout(timeoutId); // Ensure timeout is cleared even on error
+      let outcome = `${phase}-error`;
+      if (signal && signal.aborted) {
+        outcome = 'cancelled';
+      } else if (error.name === 'AbortError') {
+        outcome = 'timeout';
+      }
+      this.recordMetric({ ...metric, duration: performance.now() - startTime, outcome, message: error.message });
+      throw error; // Re-throw the error to be caught by Promise.race or the sequential loop
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    }
+  }
+
+  // Turns a service's response body into posts, according to the service's format
+  parseServiceResponse(service, text, rssUrl) {
+    let rawData;
+    if (service.format !== 'json') {
+      // Handle XML parsing for allorigins-style envelopes and plain XML responses
+      if (service.format === 'allorigins') {
+        const json = this.parseJSON(text);
+        if (!json.contents || typeof json.contents !== 'string' || json.contents.length < 100) {
+          throw new Error('AllOrigins returned empty, non-string, or too short content');
+        }
+        rawData = json.contents;
+
+        // Handle data: URI returned by allorigins
+        if (rawData.startsWith('data:')) {
+            const parts = rawData.split(',');
+            if (parts.length > 1) {
+                const mimeTypeAndEncoding = parts[0].substring(5); // Remove 'data:'
+                const base64Content = parts[1];
+                // Check if it's base64 encoded
+                if (mimeTypeAndEncoding.includes('base64')) {
+                    try {
+                        rawData = atob(base64Content); // Decode base64
+                    } catch (e) {
+                        throw new Error('Failed to decode base64 content from allorigins');
+                    }
+                } else {
+                    // If not base64, assume it's URL-encoded or plain text
+                    rawData = decodeURIComponent(base64Content);
+                }
+            }
+        }
+
+      } else { // Proxies and direct fetches returning the feed as-is
+        rawData = text;
+        if (!rawData || rawData.length < 100) {
+          throw new Error('Empty or too short response from proxy');
+        }
+      }
+
+      // JSON Feed (jsonfeed.org) documents are parsed natively, whichever service delivered them
+      if (rawData.trim().startsWith('{')) {
+        let jsonFeed = null;
+        try {
+          jsonFeed = JSON.parse(rawData);
+        } catch (e) {
+          throw new Error('Response is neither a valid RSS/XML feed nor valid JSON');
+        }
+        if (!this.isJSONFeedDocument(jsonFeed)) {
+          throw new Error('JSON response is not a JSON Feed document');
+        }
+        return this.parseJSONFeedDocument(jsonFeed, rssUrl);
+      }
+
+      // More robust check for non-XML content
+      if (!rawData.trim().startsWith('<') || (!rawData.includes('<rss') && !rawData.includes('<feed') && !rawData.includes('<channel'))) {
+          throw new Error('Response does not appear to be a valid RSS/XML feed');
+      }
+      return this.parseXMLFeed(rawData, rssUrl);
+    } else { // JSON service (rss2json)
+      const jsonData = this.parseJSON(text);
+      if (this.isJSONFeedDocument(jsonData)) {
+        return this.parseJSONFeedDocument(jsonData, rssUrl);
+      }
+      if (jsonData.status && jsonData.status !== 'ok') {
+        throw new Error(jsonData.message || 'RSS2JSON service error');
+      }
+      return this.parseJSONFeed(jsonData, jsonData, rssUrl); // Pass jsonData twice, first for data, second for original response for context
+    }
+  }
+
+  parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('Response is not valid JSON');
+    }
+  }
+
+  // Stores a fetch attempt or cache lookup (the last 100 are kept) and dispatches it as
+  // `rss-ticker:metric`. With `debug`, it is also logged and shown in the debug panel.
+  // `outcome` is 'ok', 'timeout', 'cancelled', 'network-error', 'http-error', 'parse-error',
+  // 'cache-hit', 'cache-expired' or 'cache-miss'.
+  recordMetric(record) {
+    const entry = {
+      time: new Date().toISOString(),
+      feed: record.feed,
+      service: record.service,
+      attempt: record.attempt || null,
+      duration: Math.round(record.duration),
+      status: record.status || null,
+      bytes: record.bytes === undefined ? null : record.bytes,
+      outcome: record.outcome,
+      posts: record.posts === undefined ? null : record.posts,
+      message: record.message || null,
+      body: record.body || null
+    };
+    this.metrics.push(entry);
+    if (this.metrics.length > 100) {
+      this.metrics.shift();
+    }
+    this.emit('metric', { ...entry });
+
+    if (this.hasAttribute('debug')) {
+      console.debug('[rss-ticker]', entry);
+      this.renderDebugPanel();
+    }
+  }
+
+  // Lists the latest metrics in a panel below the ticker while the `debug` attribute is set
+  renderDebugPanel() {
+    const panel = this.shadowRoot.querySelector('.ticker-debug');
+    if (!panel) {
+      return;
+    }
+    panel.hidden = !this.hasAttribute('debug');
+    if (panel.hidden) {
+      panel.replaceChildren();
+      return;
+    }
+
+    const row = (cellTag, values) => {
+      const rowEl = document.createElement('tr');
+      rowEl.append(...values.map(value => {
+        const cell = document.createElement(cellTag);
+        cell.textContent = value === null || value === undefined ? '' : String(value);
+        return cell;
+      }));
+      return rowEl;
+    };
+
+    const table = document.createElement('table');
+    table.appendChild(row('th', ['Time', 'Feed', 'Service', 'Try', 'ms', 'Status', 'Bytes', 'Outcome', 'Details']));
+    this.metrics.slice(-30).reverse().forEach(metric => {
+      const rowEl = row('td', [
+        metric.time.slice(11, 19),
+        this.extractDomain(metric.feed),
+        metric.service,
+        metric.attempt,
+        metric.duration,
+        metric.status,
+        metric.bytes,
+        metric.outcome,
+        metric.message || (metric.posts !== null ? `${metric.posts} posts` : '')
+      ]);
+      rowEl.className = `outcome-${metric.outcome}`;
+      if (metric.body) {
+        rowEl.title = metric.body;
+      }
+      table.appendChild(rowEl);
+    });
+    panel.replaceChildren(table);
+  }
+
+  // --- Caching Logic ---
+  // Entries are kept after they expire: an expired entry is still served while the feed is
+  // revalidated, and is the last good copy when every proxy fails.
+
+  // Where cached feeds live: 'local' (localStorage, default), 'indexeddb' or 'none'
+  getCacheStorage() {
+    const storage = this.getAttribute('cache-storage');
+    if (storage === 'indexeddb' && typeof indexedDB !== 'undefined') {
+      return 'indexeddb';
+    }
+    return storage === 'none' ? 'none' : 'local';
+  }
+
+  // Cache lifetime in milliseconds. `cache-ttl` is in minutes.
+  getCacheTtl() {
+    const minutes = parseFloat(this.getAttribute('cache-ttl'));
+    return (isNaN(minutes) || minutes < 0 ? 30 : minutes) * 60 * 1000;
+  }
+
+  getCacheKey(rssUrl) {
+    return `rss_ticker_cache_${btoa(rssUrl)}`; // Base64 encode URL for safe key
+  }
+
+  // Resolves with `{ data, timestamp, expired }`, or null when the feed is not cached
+  async loadFromCache(rssUrl) {
+    const storage = this.getCacheStorage();
+    if (storage === 'none') {
+      return null;
+    }
+
+    const startTime = performance.now();
+    const entry = await this.readCacheEntry(rssUrl, storage);
+    this.recordMetric({
+      feed: rssUrl,
+      service: 'cache',
+      duration: performance.now() - startTime,
+      outcome: entry ? (entry.expired ? 'cache-expired' : 'cache-hit') : 'cache-miss',
+      posts: entry ? entry.data.length : undefined
+    });
+    return entry;
+  }
+
+  async readCacheEntry(rssUrl, storage) {
+    try {
+      const cacheKey = this.getCacheKey(rssUrl);
+      let cachedItem;
+      if (storage === 'indexeddb') {
+        cachedItem = await this.runCacheRequest('readonly', store => store.get(cacheKey));
+      } else {
+        const storedItem = localStorage.getItem(cacheKey);
+        cachedItem = storedItem ? JSON.parse(storedItem) : null;
+      }
+
+      if (cachedItem) {
+        const {
+          data,
+          timestamp
+        } = cachedItem;
+        if (!Array.isArray(data) || typeof timestamp !== 'number') {
+          throw new Error('Corrupted cache entry');
+        }
+        return {
+          data,
+          timestamp,
+          expired: Date.now() - timestamp >= this.getCacheTtl()
+        };
+      }
+    } catch (e) {
+      await this.removeFromCache(rssUrl); // Clear corrupted cache
+    }
+    return null;
+  }
+
+  async saveToCache(rssUrl, data) {
+    const storage = this.getCacheStorage();
+    if (storage === 'none') {
+      return;
+    }
+
+    try {
+      const cacheKey = this.getCacheKey(rssUrl);
+      const item = {
+        data: data,
+        timestamp: Date.now()
+      };
+
+      if (storage === 'indexeddb') {
+        await this.runCacheRequest('readwrite', store => store.put(item, cacheKey));
+        return;
+      }
+
+      const serializedItem = JSON.stringify(item);
+      // When localStorage is full, make room by evicting other cached feeds, oldest first
+      while (true) {
+        try {
+          localStorage.setItem(cacheKey, serializedItem);
+          return;
+        } catch (e) {
+          if (!this.evictOldestCacheEntry(cacheKey)) {
+            throw e;
+          }
+        }
+      }
+    } catch (e) {
+      // Caching is best-effort; the feed is still displayed
+    }
+  }
+
+  async removeFromCache(rssUrl) {
+    try {
+      const cacheKey = this.getCacheKey(rssUrl);
+      if (this.getCacheStorage() === 'indexeddb') {
+        await this.runCacheRequest('readwrite', store => store.delete(cacheKey));
+      } else {
+        localStorage.removeItem(cacheKey);
+      }
+    } catch (e) {
+      // Nothing to clean up
+    }
+  }
+
+  // Removes the oldest cached feed from localStorage, other than `exceptKey`. Returns false when
+  // there is nothing left to evict.
+  evictOldestCacheEntry(exceptKey) {
+    let oldestKey = null;
+    let oldestTimestamp = Infinity;
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || key === exceptKey || !key.startsWith('rss_ticker_cache_')) {
+        continue;
+      }
+      let timestamp = 0; // Unreadable entries are evicted first
+      try {
+        timestamp = JSON.parse(localStorage.getItem(key)).timestamp || 0;
+      } catch (e) {
+        // Keep timestamp at 0
+      }
+      if (timestamp < oldestTimestamp) {
+        oldestKey = key;
+        oldestTimestamp = timestamp;
+      }
+    }
+
+    if (oldestKey === null) {
+      return false;
+    }
+    localStorage.removeItem(oldestKey);
+    return true;
+  }
+
+  // Runs a single request against the IndexedDB feed store and resolves with its result.
+  // The database connection is opened once and shared by every ticker on the page.
+  async runCacheRequest(mode, createRequest) {
+    if (!RSSTickerElement.cacheDatabase) {
+      RSSTickerElement.cacheDatabase = new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open('rss-ticker-cache', 1);
+        openRequest.onupgradeneeded = () => openRequest.result.createObjectStore('feeds');
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => reject(openRequest.error);
+      }).catch(error => {
+        RSSTickerElement.cacheDatabase = null; // Allow a later attempt to open it again
+        throw error;
+      });
+    }
+
+    const database = await RSSTickerElement.cacheDatabase;
+    return new Promise((resolve, reject) => {
+      const request = createRequest(database.transaction('feeds', mode).objectStore('feeds'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  // --- End Caching Logic ---
+
+  parseXMLFeed(xmlString, rssUrl) {
+    try {
+      const parser = new DOMParser();
+      const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+
+      // Check for parsing errors in the XML document itself
+      const parserError = xmlDoc.querySelector('parsererror');
+      if (parserError) {
+        throw new Error(`Invalid XML format: ${parserError.textContent.substring(0, Math.min(parserError.textContent.length, 100))}...`);
+      }
+
+      const domain = this.extractDomain(rssUrl);
+
+      const ns = RSSTickerElement.xmlNamespaces;
+      const isAtom = element => element.namespaceURI === ns.atom || element.namespaceURI === ns.atom03;
+
+      // RSS 2.0 items have no namespace and RSS 1.0 items live in the RSS 1.0 namespace. Matching by
+      // namespace keeps elements such as <media:item> from being taken for feed items.
+      let items = Array.from(xmlDoc.getElementsByTagNameNS('*', 'item'))
+        .filter(item => !item.namespaceURI || item.namespaceURI === ns.rss1 || item.namespaceURI === ns.rss09);
+      if (items.length === 0) items = Array.from(xmlDoc.getElementsByTagNameNS('*', 'entry')).filter(isAtom); // Atom
+
+      if (items.length === 0) {
+        throw new Error('No feed items found in XML');
+      }
+
+      // Atom entries without their own author inherit the feed's
+      const feedAuthor = isAtom(xmlDoc.documentElement) ? this.getAtomAuthors(xmlDoc.documentElement) : '';
+
+      // Relative links resolve against xml:base where the feed sets it, else against the feed's site
+      // link (RSS <channel><link>, Atom <link rel="alternate">), else against the feed URL
+      const root = xmlDoc.documentElement;
+      const channel = Array.from(xmlDoc.getElementsByTagNameNS('*', 'channel'))
+        .find(element => !element.namespaceURI || element.namespaceURI === ns.rss1 || element.namespaceURI === ns.rss09);
+      const siteLink = isAtom(root) ? this.getAtomLink(root, root.namespaceURI) : (channel ? this.getChildText(channel, channel.namespaceURI, 'link') : '');
+      const feedBase = this.resolveFeedUrl(siteLink, this.getXmlBase(root, rssUrl) || rssUrl) || rssUrl;
+
+      const posts = items
+        .map(item => {
+          // Title, link, date and friends are in the item's own namespace; extensions in theirs
+          const own = item.namespaceURI;
+          const atomEntry = isAtom(item);
+          const base = this.getXmlBase(item, rssUrl) || feedBase;
+          let title = 'No title';
+          let date = 'No date';
+          let isoDate = null;
+          let rawDate = null;
+
+          // Extract title, handling potential CDATA or text content
+          const titleText = this.getChildText(item, own, 'title');
+          if (titleText) {
+            title = this.stripHtml(titleText).trim();
+          }
+
+          // Get date (try multiple date fields)
+          const dateCandidates = [
+            this.getChildText(item, own, 'pubDate'),
+            this.getChildText(item, own, 'published'),
+            this.getChildText(item, own, 'updated'),
+            this.getChildText(item, own, 'issued'), // Atom 0.3
+            this.getChildText(item, ns.dc, 'date'),
+            this.getChildText(item, ns.dcterms, 'created'),
+            this.getChildText(item, ns.dcterms, 'modified')
+          ].filter(Boolean);
+          for (const candidate of dateCandidates) {
+            rawDate = rawDate || candidate;
+            const pubDate = new Date(candidate);
+            if (!isNaN(pubDate.getTime())) {
+              date = this.formatDate(pubDate);
+              isoDate = pubDate.toISOString();
+              rawDate = candidate;
+              break;
+            }
+          }
+
+          // RSS: <guid>, Atom: <id>, RSS 1.0: rdf:about
+          const guid = this.getChildText(item, own, atomEntry ? 'id' : 'guid') || item.getAttributeNS(ns.rdf, 'about') || null;
+
+          // Atom: the rel="alternate" <link href> (rel defaults to alternate), RSS: <link>url</link>,
+          // which some RSS feeds only provide as <atom:link>
+          let link = atomEntry ? this.getAtomLink(item, own) : this.getChildText(item, own, 'link') || this.getAtomLink(item, ns.atom);
+          // Fallback to guid if no link found, unless the feed says it is not a permalink
+          const guidEl = this.getChildElements(item, own, 'guid')[0];
+          if (!link && guid && !(guidEl && guidEl.getAttribute('isPermaLink') === 'false')) {
+            link = guid;
+          }
+          link = this.resolveFeedUrl(link, base) || '#';
+
+          // RSS: <category>name</category>, Atom: <category term="name" />, Dublin Core: <dc:subject>
+          const categories = [
+            ...this.getChildElements(item, own, 'category').map(categoryEl => categoryEl.getAttribute('term') || categoryEl.textContent || ''),
+            ...this.getChildElements(item, ns.dc, 'subject').map(subjectEl => subjectEl.textContent || '')
+          ]
+            .map(category => category.trim())
+            .filter((category, index, all) => category && all.indexOf(category) === index);
+
+          // Atom: <author><name>, RSS: <author>email (Name)</author>, Dublin Core: <dc:creator>
+          let author = atomEntry ? this.getAtomAuthors(item) || feedAuthor : this.getRSSAuthor(this.getChildText(item, own, 'author'));
+          if (!author) {
+            author = this.getChildElements(item, ns.dc, 'creator').map(creatorEl => creatorEl.textContent.trim()).filter(Boolean).join(', ');
+          }
+
+          // Summaries fall back to the full content (content:encoded, Atom <content>) when missing
+          const summaryText = this.getChildText(item, own, atomEntry ? 'summary' : 'description') ||
+            this.getChildText(item, ns.dc, 'description') ||
+            this.getChildText(item, ns.content, 'encoded') ||
+            (atomEntry ? this.getChildText(item, own, 'content') : '');
+          const summary = this.truncateText(this.stripHtml(summaryText).trim(), 300);
+
+          // RSS: <enclosure url type length>, Atom: <link rel="enclosure" href type length>
+          let enclosureEl = this.getChildElements(item, own, atomEntry ? 'link' : 'enclosure')
+            .find(el => !atomEntry || el.getAttribute('rel') === 'enclosure');
+          if (!enclosureEl && !atomEntry) {
+            enclosureEl = this.getChildElements(item, ns.atom, 'link').find(el => el.getAttribute('rel') === 'enclosure');
+          }
+          const enclosure = enclosureEl ? this.resolveFeedUrl(enclosureEl.getAttribute('url') || enclosureEl.getAttribute('href'), base) : '';
+          const enclosureType = enclosure ? enclosureEl.getAttribute('type') || '' : '';
+
+          const image = this.resolveFeedUrl(this.getMediaImage(item) || (enclosureType.startsWith('image') ? enclosure : ''), base);
+
+          return {
+            domain,
+            date,
+            isoDate,
+            rawDate,
+            title,
+            guid,
+            link,
+            categories,
+            author,
+            summary,
+            image,
+            enclosure,
+            enclosureType
+          };
+        })
+        .filter(post => post.title !== 'No title' && post.title.length > 3); // Filter out invalid posts
+
+      if (posts.length === 0) {
+        throw new Error('No valid posts found after parsing and filtering');
+      }
+
+      return posts;
+
+    } catch (error) {
+      throw new Error(`XML parsing failed: ${error.message}`);
+    }
+  }
+
+  // Direct children of `parent` with the given namespace and local name. A null namespace matches
+  // elements without one, which is how RSS 2.0 elements are parsed.
+  getChildElements(parent, namespace, localName) {
+    return Array.from(parent.children).filter(child =>
+      child.localName === localName && (child.namespaceURI || null) === (namespace || null));
+  }
+
+  getChildText(parent, namespace, localName) {
+    const element = this.getChildElements(parent, namespace, localName)[0];
+    return element ? (element.textContent || '').trim() : '';
+  }
+
+  // An Atom entry's page: the rel="alternate" link, preferring HTML, else the first link without a rel
+  getAtomLink(entry, namespace) {
+    const links = this.getChildElements(entry, namespace, 'link')
+      .filter(linkEl => (linkEl.getAttribute('rel') || 'alternate') === 'alternate' && linkEl.getAttribute('href'));
+    const htmlLink = links.find(linkEl => /html/.test(linkEl.getAttribute('type') || 'text/html'));
+    const linkEl = htmlLink || links[0];
+    return linkEl ? linkEl.getAttribute('href').trim() : '';
+  }
+
+  // Names of an Atom feed's or entry's <author> elements
+  getAtomAuthors(element) {
+    return this.getChildElements(element, element.namespaceURI, 'author')
+      .map(authorEl => this.getChildText(authorEl, element.namespaceURI, 'name') || (authorEl.textContent || '').trim())
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  // RSS 2.0 authors are email addresses, conventionally written as "email (Name)"
+  getRSSAuthor(text) {
+    const match = /^\S+@\S+\s*\((.+)\)$/.exec(text);
+    return match ? match[1].trim() : text;
+  }
+
+  // Image from Media RSS: <media:thumbnail>, an image <media:content>, or either inside <media:group>
+  getMediaImage(item) {
+    const ns = RSSTickerElement.xmlNamespaces;
+    const containers = [item, ...this.getChildElements(item, ns.media, 'group')];
+    for (const container of containers) {
+      const thumbnail = this.getChildElements(container, ns.media, 'thumbnail').find(el => el.getAttribute('url'));
+      if (thumbnail) {
+        return thumbnail.getAttribute('url');
+      }
+      const content = this.getChildElements(container, ns.media, 'content').find(el =>
+        el.getAttribute('url') && (el.getAttribute('medium') === 'image' || (el.getAttribute('type') || '').startsWith('image')));
+      if (content) {
+        return content.getAttribute('url');
+      }
+    }
+    return '';
+  }
+
+  // Resolves a URL from the feed against `base` (the feed's base URL), so relative links still work
+  resolveFeedUrl(url, base) {
+    if (!url) {
+      return '';
+    }
+    try {
+      return new URL(url.trim(), base).href;
+    } catch {
+      return url.trim();
+    }
+  }
+
+  // Applies the xml:base attributes from the document element down to `element`, starting from the
+  // feed URL. Returns null when none is set.
+  getXmlBase(element, rssUrl) {
+    const bases = [];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+      const base = node.getAttributeNS(RSSTickerElement.xmlNamespaces.xml, 'base');
+      if (base) {
+        bases.unshift(base);
+      }
+    }
+    return bases.length > 0 ? bases.reduce((base, value) => this.resolveFeedUrl(value, base), rssUrl) : null;
+  }
+
+  // JSON Feed 1.0 and 1.1 identify themselves with a jsonfeed.org version URL
+  isJSONFeedDocument(data) {
+    return Boolean(data) && typeof data.version === 'string' && data.version.includes('jsonfeed.org') && Array.isArray(data.items);
+  }
+
+  // Parses a JSON Feed (https://jsonfeed.org) document. Items without a title, which the format
+  // allows for microblog posts, use the start of their text instead.
+  parseJSONFeedDocument(feed, rssUrl) {
+    const domain = this.extractDomain(rssUrl);
+    const base = this.resolveFeedUrl(feed.home_page_url, rssUrl) || rssUrl; // Relative URLs are relative to the site
+
+    const posts = feed.items
+      .map(item => {
+        const text = item.content_text || this.stripHtml(item.content_html || '');
+        const title = this.stripHtml(item.title || '').trim() || this.truncateText(text.trim().split('\n')[0], 120);
+
+        let date = 'No date';
+        let isoDate = null;
+        const pubDate = item.date_published || item.date_modified;
+        if (pubDate) {
+          const parsedDate = new Date(pubDate);
+          if (!isNaN(parsedDate.getTime())) {
+            date = this.formatDate(parsedDate);
+            isoDate = parsedDate.toISOString();
+          }
+        }
+
+        // 1.1 uses an `authors` array, 1.0 a single `author`; both fall back to the feed's author
+        const authors = item.authors || (item.author ? [item.author] : null) || feed.authors || (feed.author ? [feed.author] : []);
+        const author = authors.map(person => person && person.name).filter(Boolean).join(', ');
+        const attachment = Array.isArray(item.attachments) ? item.attachments.find(file => file && file.url) : null;
+
+        return {
+          domain,
+          date,
+          isoDate,
+          rawDate: pubDate || null,
+          title,
+          guid: item.id !== undefined && item.id !== null ? String(item.id) : null,
+          link: this.resolveFeedUrl(String(item.url || item.external_url || (/^https?:/.test(item.id) ? item.id : '')), base) || '#',
+          categories: (Array.isArray(item.tags) ? item.tags : []).map(tag => String(tag).trim()).filter(Boolean),
+          author,
+          summary: this.truncateText((item.summary || text || '').trim(), 300),
+          image: this.resolveFeedUrl(item.image || item.banner_image, base),
+          enclosure: attachment ? this.resolveFeedUrl(attachment.url, base) : '',
+          enclosureType: attachment ? attachment.mime_type || '' : ''
+        };
+      })
+      .filter(post => post.title && post.title.length > 3);
+
+    if (posts.length === 0) {
+      throw new Error('No valid posts found after parsing and filtering');
+    }
+
+    return posts;
+  }
+
+  parseJSONFeed(data, originalResponseData, rssUrl) { // Added originalResponseData for more context
+    const domain = this.extractDomain(rssUrl);
+    const base = this.resolveFeedUrl(data.feed && data.feed.link, rssUrl) || rssUrl; // The feed's site link
+
+    let items = [];
+    if (data.items) {
+      items = data.items;
+    } else if (data.entries) {
+      items = data.entries;
+    } else if (Array.isArray(data)) {
+      items = data;
+    } else {
+      throw new Error('Unknown JSON format');
+    }
+
+    const posts = items
+      .map(item => {
+        const title = this.stripHtml(item.title || item.title_detail?.value || 'No title').trim();
+
+        let date = 'No date';
+        let isoDate = null;
+        const pubDate = item.pubDate || item.published || item.date_published || item.updated;
+        if (pubDate) {
+          const parsedDate = new Date(pubDate);
+          if (!isNaN(parsedDate.getTime())) {
+            date = this.formatDate(parsedDate);
+            isoDate = parsedDate.toISOString();
+          }
+        }
+
+        let link = item.link || item.url || item.guid || '';
+        if (typeof link === 'object' && link !== null) { // Handle cases where link might be an object
+          link = link.href || link.url || '';
+        }
+
+        const categories = (Array.isArray(item.categories) ? item.categories : [])
+          .map(category => String(category).trim())
+          .filter(Boolean);
+
+        const enclosure = item.enclosure || {};
+        const enclosureUrl = this.resolveFeedUrl(enclosure.link || enclosure.url, base);
+        const enclosureImage = enclosure.type && enclosure.type.startsWith('image') ? enclosureUrl : '';
+
+        return {
+          domain,
+          date,
+          isoDate,
+          rawDate: pubDate ? String(pubDate) : null,
+          title,
+          guid: item.guid ? String(item.guid) : null,
+          link: this.resolveFeedUrl(String(link), base) || '#',
+          categories,
+          author: typeof item.author === 'string' ? item.author.trim() : '',
+          summary: this.truncateText(this.stripHtml(item.description || item.content_text || '').trim(), 300),
+          image: this.resolveFeedUrl(item.thumbnail || enclosureImage || item.image, base),
+          enclosure: enclosureUrl,
+          enclosureType: enclosureUrl ? enclosure.type || '' : ''
+        };
+      })
+      .filter(post => post.title !== 'No title' && post.title.length > 3);
+
+    if (posts.length === 0) {
+      throw new Error('No valid posts found after parsing and filtering');
+    }
+
+    return posts;
+  }
+
+  // Extracts the text of feed-provided HTML. The markup is parsed into an inert document, so no
+  // scripts run and no resources (such as <img onerror>) load.
+  stripHtml(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return doc.body ? doc.body.textContent || '' : '';
+  }
+
+  truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+  }
+
+  extractDomain(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.hostname.replace(/^(www\.|rss\.|feeds\.|api\.)/, '');
+    } catch {
+      return 'Unknown';
+    }
+  }
+
+  formatDate(date) {
+    if (isNaN(date.getTime())) {
+      return 'No date';
+    }
+    return this.getDateFormatter()(date);
+  }
+
+  // A post as handed to callbacks and events: its date formatted with the current date options
+  getDisplayPost(post) {
+    return { ...post, date: this.formatPostDate(post), isNew: this.isNewPost(post) };
+  }
+
+  // Dates are formatted when rendered rather than when parsed, so cached posts follow the current
+  // options and relative dates stay current
+  formatPostDate(post) {
+    return post.isoDate ? this.formatDate(new Date(post.isoDate)) : post.date;
+  }
+
+  getLocale() {
+    const langElement = this.closest('[lang]');
+    return this.getAttribute('locale') || (langElement && langElement.lang) || 'en-US';
+  }
+
+  getDateFormat() {
+    const format = (this.getAttribute('date-format') || 'short').trim();
+    if (format.startsWith('{')) {
+      try {
+        return JSON.parse(format);
+      } catch {
+        return 'short';
+      }
+    }
+    return ['short', 'long', 'relative'].includes(format) ? format : 'short';
+  }
+
+  // Builds (and keeps until an option changes) the function formatting dates for the `locale`,
+  // `time-zone` and `date-format` options. An unknown locale or time zone falls back to the defaults.
+  getDateFormatter() {
+    if (this._dateFormatter) {
+      return this._dateFormatter;
+    }
+
+    const locale = this.getLocale();
+    const timeZone = this.getAttribute('time-zone') || undefined;
+    const format = this.getDateFormat();
+
+    let formatter;
+    try {
+      if (format === 'relative') {
+        const relativeFormat = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+        formatter = date => this.formatRelativeDate(date, relativeFormat);
+      } else {
+        const options = typeof format === 'object'
+          ? format
+          : { month: format, day: 'numeric', year: 'numeric' };
+        const dateFormat = new Intl.DateTimeFormat(locale, { ...options, timeZone: options.timeZone || timeZone });
+        formatter = date => dateFormat.format(date);
+      }
+    } catch {
+      const dateFormat = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      formatter = date => dateFormat.format(date);
+    }
+
+    this._dateFormatter = formatter;
+    return formatter;
+  }
+
+  // "3 hours ago", "yesterday", "in 2 days": the largest unit that fits the time since the post
+  formatRelativeDate(date, relativeFormat) {
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const units = [
+      ['year', 365 * 24 * 3600],
+      ['month', 30 * 24 * 3600],
+      ['week', 7 * 24 * 3600],
+      ['day', 24 * 3600],
+      ['hour', 3600],
+      ['minute', 60]
+    ];
+    for (const [unit, unitSeconds] of units) {
+      if (Math.abs(seconds) >= unitSeconds) {
+        return relativeFormat.format(Math.round(seconds / unitSeconds), unit);
+      }
+    }
+    return relativeFormat.format(Math.round(seconds), 'second');
+  }
+
+  showMessage(message, color = '#dc3545') {
+    const ticker = this.shadowRoot.querySelector('.ticker-content');
+    const status = this.shadowRoot.querySelector('.ticker-status');
+    this.stopRotation();
+    if (status) {
+      status.textContent = message; // Announced to screen readers
+    }
+    if (ticker) {
+      ticker.textContent = message;
+      ticker.style.color = color;
+      this.stopScrollLoop(); // Stop scrolling for messages
+      ticker.style.transform = 'translateX(0)';
+      this.lastMeasuredCycleWidth = 0; // Reset width to force re-measurement
+    }
+  }
+
+  // Builds the element for one post: the `renderItem` callback or a <template> child when given,
+  // otherwise the built-in domain, date and title layout. Feed text is only ever inserted as text.
+  // Every item carries `data-index` so clicks and scroll anchoring can map it back to its post.
+  renderPost(post, index) {
+    const template = this.querySelector(':scope > template');
+    let item;
+
+    if (this._renderItem) {
+      item = document.createElement('span');
+      const rendered = this._renderItem(this.getDisplayPost(post), index);
+      if (rendered instanceof Node) {
+        item.appendChild(rendered);
+      } else {
+        // Callback markup is trusted; it is parsed inertly and then inserted
+        const parsed = document.createElement('template');
+        parsed.innerHTML = rendered === undefined || rendered === null ? '' : String(rendered);
+        item.appendChild(parsed.content);
+      }
+    } else if (template) {
+      item = document.createElement('span');
+      item.appendChild(this.fillTemplate(template, post));
+    } else {
+      item = document.createElement('a');
+      const url = this.getPostUrl(post);
+      if (url) {
+        item.setAttribute('href', url);
+      }
+      // The preview opens from a plain click; modified clicks still open the link in a new tab
+      const target = this.getLinkTarget();
+      if (target === '_blank' || target === 'preview') {
+        item.setAttribute('target', '_blank');
+        item.setAttribute('rel', 'noopener');
+      } else if (target !== '_self') {
+        item.setAttribute('target', target);
+      }
+      item.className = 'post-link';
+      item.append(
+        this.createTextElement('span', 'post-domain', post.domain, 'domain'),
+        this.createTextElement('span', 'post-date', this.formatPostDate(post), 'date')
+      );
+      if (this.isNewPost(post)) {
+        item.appendChild(this.createTextElement('span', 'post-new', 'New', 'new'));
+      }
+      item.appendChild(this.createTextElement('span', 'post-title', this.getDisplayTitle(post), 'title'));
+    }
+
+    // A shortened title is shown in full as a tooltip
+    if (!this._renderItem && this.getDisplayTitle(post) !== post.title) {
+      item.title = post.title;
+    }
+
+    item.classList.add('post-item');
+    item.classList.toggle('is-new', this.isNewPost(post)); // Also lets custom markup style new posts
+    item.setAttribute('part', 'item');
+    item.dataset.index = index;
+    return item;
+  }
+
+  // One cycle of posts, joined by separators
+  renderPosts() {
+    const separator = this.getAttribute('separator') || '|';
+    const fragment = document.createDocumentFragment();
+    this._posts.forEach((post, index) => {
+      if (index > 0) {
+        const separatorEl = this.createTextElement('span', 'separator', separator, 'separator');
+        separatorEl.setAttribute('aria-hidden', 'true');
+        fragment.appendChild(separatorEl);
+      }
+      fragment.appendChild(this.renderPost(post, index));
+    });
+    return fragment;
+  }
+
+  // Clones the <template> and fills its {{field}} placeholders in text and attributes. Values are set
+  // as text, URL attributes only keep http(s) URLs, and event handler attributes are never filled.
+  fillTemplate(template, post) {
+    const fragment = template.content.cloneNode(true);
+    const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) => this.getPostField(post, field));
+    const urlAttributes = ['href', 'src', 'action', 'formaction', 'poster', 'xlink:href'];
+
+    const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.textContent.includes('{{')) {
+          node.textContent = fill(node.textContent);
+        }
+        continue;
+      }
+
+      for (const attribute of Array.from(node.attributes)) {
+        if (!attribute.value.includes('{{')) {
+          continue;
+        }
+        const value = fill(attribute.value);
+        const name = attribute.name.toLowerCase();
+        if (name.startsWith('on') || (urlAttributes.includes(name) && !this.isSafeUrl(value))) {
+          node.removeAttribute(attribute.name);
+        } else {
+          node.setAttribute(attribute.name, value);
+        }
+      }
+    }
+
+    return fragment;
+  }
+
+  // `part` exposes the element to page CSS as ::part(...)
+  createTextElement(tagName, className, text, part) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    if (part) {
+      element.setAttribute('part', part);
+    }
+    return element;
+  }
+
+  // Value of a template placeholder. Unknown fields and missing values render as empty text.
+  getPostField(post, field) {
+    if (field === 'link') {
+      return this.getPostUrl(post) || '';
+    }
+    if (field === 'date') {
+      return this.formatPostDate(post);
+    }
+    if (field === 'title') {
+      return this.getDisplayTitle(post);
+    }
+    const value = post[field];
+    if (Array.isArray(value)) {
+      return value.join(', ');
+    }
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  // Absolute http(s) URL of a post, or null when the feed's link is missing or uses another scheme
+  // (javascript:, data:, ...). Relative links are resolved against the feed's base URL, or failing that the page's.
+  getPostUrl(post) {
+    const link = (post.link || '').trim();
+    if (!link || link === '#') {
+      return null;
+    }
+    // The parsers resolve feed links against the feed's base URL; anything still relative is relative to the page
+    return this.isSafeUrl(link) ? new URL(link, document.baseURI).href : null;
+  }
+
+  // The title as shown: shortened to `max-title-length` characters with an ellipsis
+  getDisplayTitle(post) {
+    const maxLength = parseInt(this.getAttribute('max-title-length'));
+    return maxLength > 1 ? this.truncateText(post.title, maxLength) : post.title;
+  }
+
+  // `link-target`: '_blank' (default), '_self', the name of another browsing context, or 'preview'
+  getLinkTarget() {
+    return (this.getAttribute('link-target') || '').trim() || '_blank';
+  }
+
+  // Resets the ticker once the preview dialog has closed, however it was closed
+  handlePreviewClose() {
+    this.previewPost = null;
+    this.startScrollLoop();
+  }
+
+  isSafeUrl(url) {
+    if (!url) {
+      return false;
+    }
+    try {
+      return ['http:', 'https:'].includes(new URL(url, document.baseURI).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  // The layout in use: 'horizontal' (default), 'vertical', 'fade' or 'list'. Every mode falls back
+  // to the static list when the user prefers reduced motion.
+  getDisplayMode() {
+    const mode = this.getAttribute('mode');
+    if (this.reducedMotionQuery && this.reducedMotionQuery.matches) {
+      return 'list';
+    }
+    return ['vertical', 'fade', 'list'].includes(mode) ? mode : 'horizontal';
+  }
+
+  updateTickerContent() {
+    const separator = this.getAttribute('separator') || '|';
+    const tickerContent = this.shadowRoot.querySelector('.ticker-content');
+
+    if (!tickerContent || this._posts.length === 0) {
+      this.showMessage('No posts to display.');
+      return;
+    }
+
+    const mode = this.getDisplayMode();
+    this.shadowRoot.querySelector('.ticker').className = `ticker mode-${mode}`;
+    this.stopRotation();
+    this.focusIndex = Math.min(this.focusIndex, this._posts.length - 1);
+
+    if (mode !== 'horizontal') {
+      // One copy of each post: stacked for the list, layered for the rotating modes
+      tickerContent.replaceChildren(...this._posts.map((post, index) => this.renderPost(post, index)));
+      this.renderedPosts = this._posts;
+      tickerContent.style.color = ''; // Drop the message color; the stylesheet colors the headlines
+      this.stopScrollLoop();
+      tickerContent.style.transform = 'none';
+      this.lastMeasuredCycleWidth = 0; // Nothing to re-measure on resize
+      this._resumeOffset = null;
+      this.setFocusIndex(this.focusIndex);
+      this.updateAriaState();
+      if (mode !== 'list') {
+        this.startRotation();
+      }
+      return;
+    }
+
+    // Keep the headline at the leading edge in place across re-renders (refreshes, resizes, style
+    // changes); when it is gone, start from the beginning
+    this._resumeOffset = this._resumeOffset || this.getResumeOffset(this._posts);
+    if (!this._resumeOffset) {
+      this.scrollOffset = 0;
+    }
+
+    // Triple the content to create a seamless looping effect. Only the first copy is exposed to
+    // assistive technology and the tab order; the other two are purely visual.
+    const copies = [0, 1, 2].map(copyIndex => {
+      const copy = document.createElement('span');
+      copy.className = 'ticker-copy';
+      copy.appendChild(this.renderPosts());
+      if (copyIndex < 2) {
+        const separatorEl = this.createTextElement('span', 'separator', separator, 'separator');
+        separatorEl.setAttribute('aria-hidden', 'true');
+        copy.appendChild(separatorEl);
+      }
+      if (copyIndex > 0) {
+        copy.setAttribute('aria-hidden', 'true');
+        copy.inert = true;
+      }
+      return copy;
+    });
+    tickerContent.replaceChildren(...copies);
+    this.renderedPosts = this._posts;
+    this.setFocusIndex(this.focusIndex);
+    this.updateAriaState();
+    tickerContent.style.color = '';
+
+    // Use requestAnimationFrame to ensure DOM is ready before measuring and starting animation
+    requestAnimationFrame(() => {
+      this.startAnimation();
+    });
+  }
+
+  // The headlines reachable by keyboard: the first copy in the scrolling mode, every item otherwise
+  getNavigableItems() {
+    const content = this.shadowRoot.querySelector('.ticker-content');
+    return content ? Array.from(content.querySelectorAll('.post-item')).slice(0, this._posts.length) : [];
+  }
+
+  // The element focused for a headline: the built-in link, or the first link or control in custom
+  // markup. Custom markup without one is focused as a whole.
+  getFocusTarget(item) {
+    const selector = RSSTickerElement.focusableSelector;
+    return item.matches(selector) ? item : item.querySelector(selector) || item;
+  }
+
+  // Roving tabindex: only one headline is in the tab order, the arrow keys move between them. The
+  // other links and controls in custom markup are taken out of the tab order.
+  setFocusIndex(index) {
+    this.focusIndex = index;
+    this.getNavigableItems().forEach((item, itemIndex) => {
+      const target = this.getFocusTarget(item);
+      item.querySelectorAll(RSSTickerElement.focusableSelector).forEach(element => {
+        element.tabIndex = -1;
+      });
+      if (target !== item) {
+        item.removeAttribute('tabindex');
+      }
+      target.tabIndex = itemIndex === index ? 0 : -1;
+    });
+  }
+
+  handleKeydown(event) {
+    const items = this.getNavigableItems();
+    const current = items.indexOf(event.target.closest('.post-item'));
+    if (current === -1) {
+      return;
+    }
+
+    const steps = {
+      ArrowRight: 1,
+      ArrowDown: 1,
+      ArrowLeft: -1,
+      ArrowUp: -1
+    };
+    let next;
+    if (event.key in steps) {
+      next = (current + steps[event.key] + items.length) % items.length;
+    } else if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = items.length - 1;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    this.setFocusIndex(next);
+    this.bringItemIntoView(next);
+    this.getFocusTarget(items[next]).focus({ preventScroll: true });
+  }
+
+  // Makes a headline visible: scrolls the strip so it sits at the left edge, or shows it in the
+  // rotating modes. Keyboard focus keeps the ticker paused while the user is on it.
+  bringItemIntoView(index) {
+    const mode = this.getDisplayMode();
+    if (mode === 'vertical' || mode === 'fade') {
+      this.showRotationItem(index);
+      return;
+    }
+    if (mode !== 'horizontal' || this.lastMeasuredCycleWidth === 0) {
+      return;
+    }
 
-      // Check for parsing errors in the XML document itself
-      const parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        throw new Error(`Invalid XML format: ${parserError.textContent.substring(0, Math.min(parserError.textContent.length, 100))}...`);
+    // Focusing an element inside an overflow: hidden box scrolls the box; undo that and move the strip instead
+    this.shadowRoot.querySelector('.ticker-container').scrollLeft = 0;
+    const items = this.getNavigableItems();
+    this.scrollVelocity = 0;
+    this.seekTo(this.getItemStart(items[index]) - this.getItemStart(items[0]));
+  }
+
+  updateAriaState() {
+    const toggle = this.shadowRoot.querySelector('.ticker-toggle');
+    if (toggle) {
+      toggle.setAttribute('aria-label', this.paused ? 'Play headlines' : 'Pause headlines');
+      toggle.querySelector('.toggle-icon').textContent = this.paused ? '▶' : '❚❚';
+    }
+
+    // Moving headlines form a marquee, which is not announced on its own. Rotating headlines are
+    // announced once the user pauses them and steps through with the arrow keys.
+    const content = this.shadowRoot.querySelector('.ticker-content');
+    if (content) {
+      const mode = this.getDisplayMode();
+      if (mode === 'list') {
+        content.removeAttribute('role');
+      } else {
+        content.setAttribute('role', 'marquee');
       }
+      content.setAttribute('aria-live', (mode === 'vertical' || mode === 'fade') && this.paused ? 'polite' : 'off');
+    }
+  }
 
-      const domain = this.extractDomain(rssUrl);
-      const maxPostsAttr = this.getAttribute('max-posts');
-      const maxPosts = (maxPostsAttr && !isNaN(parseInt(maxPostsAttr))) ? parseInt(maxPostsAttr) : Infinity;
+  // Shows one headline at a time in the vertical and fade modes, moving on every `dwell` seconds.
+  // The current headline is kept across content updates when it is still in the feed.
+  startRotation() {
+    const items = this.shadowRoot.querySelectorAll('.ticker-content .post-item');
+    if (items.length === 0) {
+      return;
+    }
 
-      let items = [];
-      // Try to find items in common RSS/Atom structures
-      items = Array.from(xmlDoc.querySelectorAll('rss > channel > item'));
-      if (items.length === 0) items = Array.from(xmlDoc.querySelectorAll('item')); // RSS 1.0 / RDF
-      if (items.length === 0) items = Array.from(xmlDoc.querySelectorAll('entry')); // Atom
+    const keptIndex = this._posts.findIndex(post => this.getPostKey(post) === this.rotationKey);
+    this.rotationIndex = keptIndex === -1 ? 0 : keptIndex;
+    this.showRotationItem(this.rotationIndex);
 
-      if (items.length === 0) {
-        throw new Error('No feed items found in XML');
+    const dwell = parseFloat(this.getAttribute('dwell'));
+    const dwellSeconds = isNaN(dwell) || dwell <= 0 ? 4 : dwell;
+    this.rotationTimer = setInterval(() => {
+      const content = this.shadowRoot.querySelector('.ticker-content');
+      if (this.paused || this.isHovered || this.previewPost || !this.isInView() || content.contains(this.shadowRoot.activeElement)) {
+        return;
       }
+      this.showRotationItem((this.rotationIndex + 1) % this._posts.length);
+    }, dwellSeconds * 1000);
+  }
 
-      this.posts = items
-        .slice(0, maxPosts)
-        .map(item => {
-          let title = 'No title';
-          let date = 'No date';
-          let link = '#';
+  stopRotation() {
+    if (this.rotationTimer) {
+      clearInterval(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
 
-          // Extract title, handling potential CDATA or text content
-          const titleEl = item.querySelector('title');
-          if (titleEl) {
-            title = this.stripHtml(titleEl.textContent || '').trim();
-          }
+  showRotationItem(index) {
+    const items = this.shadowRoot.querySelectorAll('.ticker-content .post-item');
+    items.forEach((item, itemIndex) => {
+      item.classList.toggle('is-leaving', itemIndex === this.rotationIndex && itemIndex !== index);
+      item.classList.toggle('is-active', itemIndex === index);
+      item.inert = itemIndex !== index; // Hidden headlines are neither focusable nor announced
+    });
+    this.rotationIndex = index;
+    this.rotationKey = this.getPostKey(this._posts[index]);
+  }
 
-          // Get date (try multiple date fields)
-          const dateSelectors = ['pubDate', 'published', 'updated', 'dc\\:date', 'date'];
-          for (const selector of dateSelectors) {
-            const dateEl = item.querySelector(selector);
-            if (dateEl && dateEl.textContent) {
-              const pubDate = new Date(dateEl.textContent.trim());
-              if (!isNaN(pubDate.getTime())) {
-                date = this.formatDate(pubDate);
-                break;
-              }
-            }
-          }
+  startAnimation() {
+    const container = this.shadowRoot.querySelector('.ticker-container');
+    const content = this.shadowRoot.querySelector('.ticker-content');
 
-          // Get link (try multiple link formats)
-          const linkEl = item.querySelector('link');
-          if (linkEl) {
-            // RSS format: <link>url</link>
-            if (linkEl.textContent && linkEl.textContent.trim()) {
-              link = linkEl.textContent.trim();
-            }
-            // Atom format: <link href="url" />
-            else if (linkEl.getAttribute('href')) {
-              link = linkEl.getAttribute('href');
-            }
-          }
+    if (!container || !content || this._posts.length === 0) {
+      return;
+    }
 
-          // Fallback to guid if no link found
-          if (link === '#') {
-            const guidEl = item.querySelector('guid');
-            if (guidEl && guidEl.textContent) {
-              link = guidEl.textContent.trim();
-            }
-          }
+    // Measure one full cycle on the rendered strip itself, so any item markup (custom templates,
+    // images, fonts) is accounted for: it is the distance from the first item of the first copy
+    // to the first item of the second copy.
+    const items = content.querySelectorAll('.post-item');
+    if (items.length <= this._posts.length) {
+      return;
+    }
+    const cycleWidth = this.getItemStart(items[this._posts.length]) - this.getItemStart(items[0]);
 
-          return {
-            domain,
-            date,
-            title,
-            link: link.trim()
-          };
-        })
-        .filter(post => post.title !== 'No title' && post.title.length > 3); // Filter out invalid posts
+    if (cycleWidth === 0) {
+      return;
+    }
 
-      if (this.posts.length === 0) {
-        throw new Error('No valid posts found after parsing and filtering');
+    this.lastMeasuredCycleWidth = cycleWidth; // Store for resize observer
+    this.rightToLeft = this.isRightToLeft();
+    this.scrollReversed = this.isScrollReversed();
+    const firstStart = this.getItemStart(items[0]);
+    this.itemStops = Array.from(items).slice(0, this._posts.length).map(item => this.getItemStart(item) - firstStart);
+    this.clearHeadlineHold();
+
+    // Continue from the anchored headline instead of jumping back to the start
+    if (this._resumeOffset) {
+      const anchor = items[this._resumeOffset.index];
+      if (anchor) {
+        this.scrollOffset = this.getItemStart(anchor) - this._resumeOffset.delta;
       }
-
-
-    } catch (error) {
-      throw new Error(`XML parsing failed: ${error.message}`);
+      this._resumeOffset = null;
     }
+
+    this.seekTo(this.scrollOffset);
+    this.startScrollLoop();
   }
 
-  parseJSONFeed(data, originalResponseData, rssUrl) { // Added originalResponseData for more context
-    const domain = this.extractDomain(rssUrl);
-    const maxPostsAttr = this.getAttribute('max-posts');
-    const maxPosts = (maxPostsAttr && !isNaN(parseInt(maxPostsAttr))) ? parseInt(maxPostsAttr) : Infinity;
+  // Right-to-left tickers (dir="rtl" on the element or an ancestor) lay the strip out from the right
+  // and scroll it to the right
+  isRightToLeft() {
+    return getComputedStyle(this).direction === 'rtl';
+  }
 
-    let items = [];
-    if (data.items) {
-      items = data.items;
-    } else if (data.entries) {
-      items = data.entries;
-    } else if (Array.isArray(data)) {
-      items = data;
-    } else {
-      throw new Error('Unknown JSON format');
+  // Which way the headlines move: `direction="left"` or `"right"`, `"reverse"` for the opposite of
+  // the default, which follows the text direction (leftward, or rightward in a right-to-left ticker)
+  getScrollDirection() {
+    const natural = this.isRightToLeft() ? 'right' : 'left';
+    const direction = this.getAttribute('direction');
+    if (direction === 'left' || direction === 'right') {
+      return direction;
     }
+    if (direction === 'reverse') {
+      return natural === 'left' ? 'right' : 'left';
+    }
+    return natural;
+  }
 
-    this.posts = items
-      .slice(0, maxPosts)
-      .map(item => {
-        const title = this.stripHtml(item.title || item.title_detail?.value || 'No title').trim();
+  // Whether the strip scrolls against its layout direction, i.e. headlines enter from the start side
+  isScrollReversed() {
+    return this.getScrollDirection() !== (this.isRightToLeft() ? 'right' : 'left');
+  }
 
-        let date = 'No date';
-        const pubDate = item.pubDate || item.published || item.date_published || item.updated;
-        if (pubDate) {
-          const parsedDate = new Date(pubDate);
-          if (!isNaN(parsedDate.getTime())) {
-            date = this.formatDate(parsedDate);
-          }
-        }
+  // Distance of an item's leading edge from the start of the strip: its left edge, or its right
+  // edge in a right-to-left ticker
+  getItemStart(item) {
+    if (!this.isRightToLeft()) {
+      return item.offsetLeft;
+    }
+    const parentWidth = item.offsetParent ? item.offsetParent.clientWidth : 0;
+    return parentWidth - item.offsetLeft - item.offsetWidth;
+  }
 
-        let link = item.link || item.url || item.guid || '#';
-        if (typeof link === 'object' && link !== null) { // Handle cases where link might be an object
-          link = link.href || link.url || '#';
-        }
+  // Moves the strip `offset` pixels into its cycle. The strip extends to the right (to the left when
+  // right-to-left) and the three copies keep the view filled at any offset, so the same cycle works
+  // whichever way it scrolls.
+  seekTo(offset) {
+    const content = this.shadowRoot.querySelector('.ticker-content');
+    const cycleWidth = this.lastMeasuredCycleWidth;
+    if (!content || cycleWidth === 0) {
+      return;
+    }
 
-        return {
-          domain,
-          date,
-          title,
-          link: link.trim()
-        };
-      })
-      .filter(post => post.title !== 'No title' && post.title.length > 3);
+    this.scrollOffset = (offset % cycleWidth + cycleWidth) % cycleWidth;
+    content.style.transform = `translateX(${this.rightToLeft ? this.scrollOffset : -this.scrollOffset}px)`;
+  }
 
-    if (this.posts.length === 0) {
-      throw new Error('No valid posts found after parsing and filtering');
+  // Scroll speed the ticker eases towards: none while paused, hovered, focused or dragged, otherwise
+  // the `speed` attribute, negative when scrolling against the layout direction
+  getTargetVelocity() {
+    const container = this.shadowRoot.querySelector('.ticker-container');
+    if (this.paused || this.drag || this.holdTimer || this.previewPost || !this.isInView() || (container && container.contains(this.shadowRoot.activeElement))) {
+      return 0;
+    }
+    // `pixels-per-second` sets the speed directly; the 1-10 `speed` scale is 25px/s per step
+    const pixelsPerSecond = parseFloat(this.getAttribute('pixels-per-second'));
+    const speed = Math.max(1, Math.min(10, parseInt(this.getAttribute('speed')) || 5));
+    let velocity = pixelsPerSecond > 0 ? pixelsPerSecond : speed * 25;
+    if (this.isHovered) {
+      // `hover-speed` is the fraction of the speed kept under the pointer; by default the strip stops
+      const hoverSpeed = parseFloat(this.getAttribute('hover-speed'));
+      velocity *= hoverSpeed > 0 ? Math.min(hoverSpeed, 1) : 0;
     }
+    return this.scrollReversed ? -velocity : velocity;
   }
 
-  stripHtml(html) {
-    if (!html) return '';
-    const tmp = document.createElement('div');
-    tmp.innerHTML = html;
-    return tmp.textContent || tmp.innerText || '';
+  // Seconds the strip stands still at each headline with `headline-stop`; 0 scrolls continuously
+  getHeadlineStop() {
+    const seconds = parseFloat(this.getAttribute('headline-stop'));
+    return seconds > 0 ? seconds : 0;
   }
 
-  extractDomain(url) {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.replace(/^(www\.|rss\.|feeds\.|api\.)/, '');
-    } catch {
-      return 'Unknown';
+  // Distance in pixels from the current offset to the next headline in the scroll direction
+  getDistanceToNextStop(direction) {
+    const cycleWidth = this.lastMeasuredCycleWidth;
+    const distances = this.itemStops
+      .map(stop => ((direction > 0 ? stop - this.scrollOffset : this.scrollOffset - stop) % cycleWidth + cycleWidth) % cycleWidth)
+      .filter(distance => distance > 0.01); // The headline the strip is holding at does not count
+    return distances.length > 0 ? Math.min(...distances) : null;
+  }
+
+  clearHeadlineHold() {
+    if (this.holdTimer) {
+      clearTimeout(this.holdTimer);
+      this.holdTimer = null;
     }
   }
 
-  formatDate(date) {
-    if (isNaN(date.getTime())) {
-      return 'No date';
+  // Runs the scroll loop unless it is already running or there is nothing to scroll
+  startScrollLoop() {
+    if (this.animationId || this.lastMeasuredCycleWidth === 0 || (this.drag && this.drag.active)) {
+      return;
     }
-    return date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
-    });
+    this.lastFrameTime = null;
+    this.animationId = requestAnimationFrame(time => this.stepScroll(time));
   }
 
-  showMessage(message, color = '#dc3545') {
-    const ticker = this.shadowRoot.querySelector('.ticker-content');
-    if (ticker) {
-      ticker.textContent = message;
-      ticker.style.color = color;
-      ticker.style.animation = 'none'; // Stop animation for messages
-      ticker.style.transform = 'translateX(0)';
-      this.lastMeasuredCycleWidth = 0; // Reset width to force re-measurement
+  stopScrollLoop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
     }
+    this.scrollVelocity = 0;
   }
 
-  updateTickerContent() {
-    const separator = this.getAttribute('separator') || '|';
-    const tickerContent = this.shadowRoot.querySelector('.ticker-content');
+  // One frame: the speed eases towards its target, so pauses, resumes and speed changes are smooth,
+  // and the strip moves by it. The loop ends once the ticker has come to rest.
+  stepScroll(time) {
+    this.animationId = null;
+    if (this.lastMeasuredCycleWidth === 0 || (this.drag && this.drag.active)) {
+      return;
+    }
 
-    if (!tickerContent || this.posts.length === 0) {
-      this.showMessage('No posts to display.');
+    const elapsed = this.lastFrameTime === null ? 0 : Math.min((time - this.lastFrameTime) / 1000, 0.1);
+    this.lastFrameTime = time;
+    const target = this.getTargetVelocity();
+    this.scrollVelocity += (target - this.scrollVelocity) * (1 - Math.exp(-elapsed / 0.3));
+    if (target === 0 && Math.abs(this.scrollVelocity) < 1) {
+      this.scrollVelocity = 0;
       return;
     }
 
-    // Generate HTML for each post
-    const postHtml = this.posts
-      .map((post, index) => {
-        let safeLink = post.link;
-        // Ensure links are absolute and valid
-        if (safeLink !== '#' && !safeLink.startsWith('http')) {
-          safeLink = `https://${safeLink}`;
+    // With `headline-stop`, the strip slows down as the next headline nears the leading edge, stops
+    // exactly there and starts again once the stop time is over
+    const direction = Math.sign(target);
+    const stopSeconds = this.getHeadlineStop();
+    if (stopSeconds > 0 && direction !== 0 && Math.sign(this.scrollVelocity) === direction) {
+      const distance = this.getDistanceToNextStop(direction);
+      if (distance !== null) {
+        this.scrollVelocity = direction * Math.min(Math.abs(this.scrollVelocity), Math.max(distance * 3, 30));
+        if (Math.abs(this.scrollVelocity) * elapsed >= distance) {
+          this.seekTo(this.scrollOffset + direction * distance);
+          this.scrollVelocity = 0;
+          this.holdTimer = setTimeout(() => {
+            this.holdTimer = null;
+            this.startScrollLoop();
+          }, stopSeconds * 1000);
+          return;
         }
+      }
+    }
 
-        return `<a href="${safeLink}" target="_blank" rel="noopener" class="post-link">
-          <span class="post-domain">${post.domain}</span>
-          <span class="post-date">${post.date}</span>
-          <span class="post-title">${post.title}</span>
-        </a>`;
-      })
-      .join(`<span class="separator">${separator}</span>`);
-
-    // Triple the content to create a seamless looping effect
-    const fullContent = `${postHtml}<span class="separator">${separator}</span>${postHtml}<span class="separator">${separator}</span>${postHtml}`;
-    tickerContent.innerHTML = fullContent;
-    tickerContent.style.color = this.getAttribute('title-color') || '#333';
-
-    // Reset animation and transform to prepare for new animation calculation
-    tickerContent.style.animation = 'none';
-    tickerContent.style.transform = 'translateX(0)';
-
-    // Use requestAnimationFrame to ensure DOM is ready before measuring and starting animation
-    requestAnimationFrame(() => {
-      this.startAnimation();
-    });
+    this.seekTo(this.scrollOffset + this.scrollVelocity * elapsed);
+    this.animationId = requestAnimationFrame(nextTime => this.stepScroll(nextTime));
   }
 
-  startAnimation() {
-    const container = this.shadowRoot.querySelector('.ticker-container');
-    const content = this.shadowRoot.querySelector('.ticker-content');
-
-    if (!container || !content || this.posts.length === 0) {
+  // A pointer pressed on the scrolling strip. It only turns into a drag once it moves, so taps and
+  // clicks still open headlines.
+  startDrag(event) {
+    this.dragMoved = false;
+    if (this.getDisplayMode() !== 'horizontal' || this.lastMeasuredCycleWidth === 0 || event.button !== 0) {
       return;
     }
+    this.drag = {
+      pointerId: event.pointerId,
+      lastX: event.clientX,
+      lastTime: event.timeStamp,
+      distance: 0,
+      velocity: 0,
+      active: false
+    };
+  }
 
-    // Create a temporary element to accurately measure the width of one full cycle of content
-    const separator = this.getAttribute('separator') || '|';
-    const postHtml = this.posts
-      .map(post => { // Using post.link here, which is safer
-        let safeLink = post.link;
-        if (safeLink !== '#' && !safeLink.startsWith('http')) {
-          safeLink = `https://${safeLink}`;
-        }
-        return `<a href="${safeLink}" target="_blank" rel="noopener" class="post-link">
-          <span class="post-domain">${post.domain}</span>
-          <span class="post-date">${post.date}</span>
-          <span class="post-title">${post.title}</span>
-        </a>`;
-      })
-      .join(`<span class="separator">${separator}</span>`);
-
-    const tempDiv = document.createElement('div');
-    // Apply relevant styles to the temporary div for accurate measurement
-    tempDiv.style.cssText = `
-        position: absolute;
-        visibility: hidden;
-        white-space: nowrap;
-        font-family: ${this.getComputedStyleValue('font-family')};
-        font-weight: ${this.getComputedStyleValue('font-weight')};
-        font-size: ${this.getComputedStyleValue('font-size')};
-        line-height: 1.4;
-    `;
-    // Content for one cycle (posts + one separator)
-    tempDiv.innerHTML = `${postHtml}<span class="separator">${separator}</span>`;
-
-    this.shadowRoot.appendChild(tempDiv);
-    const cycleWidth = tempDiv.offsetWidth;
-    this.shadowRoot.removeChild(tempDiv); // Clean up the temporary div
-
-    if (cycleWidth === 0) {
+  moveDrag(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
       return;
     }
 
-    this.lastMeasuredCycleWidth = cycleWidth; // Store for resize observer
+    const dx = event.clientX - drag.lastX;
+    const elapsed = (event.timeStamp - drag.lastTime) / 1000;
+    drag.lastX = event.clientX;
+    drag.lastTime = event.timeStamp;
+    drag.distance += Math.abs(dx);
 
-    // Calculate animation duration based on speed attribute and content width
-    const speed = Math.max(1, Math.min(10, parseInt(this.getAttribute('speed')) || 5));
-    const duration = cycleWidth / (speed * 25); // Adjust multiplier for desired base speed
-
-    // Dynamically update CSS keyframes for the scrolling animation
-    const styleEl = this.shadowRoot.querySelector('style');
-    if (styleEl) {
-      const keyframes = `
-        @keyframes scroll-dynamic {
-          0% { transform: translateX(0); }
-          100% { transform: translateX(-${cycleWidth}px); }
-        }
-      `;
-      const currentStyle = styleEl.textContent;
-      const keyframesRegex = /@keyframes scroll-dynamic \{[^}]*\}/s;
-      if (keyframesRegex.test(currentStyle)) {
-        // Replace existing keyframes
-        styleEl.textContent = currentStyle.replace(keyframesRegex, keyframes);
-      } else {
-        styleEl.textContent += keyframes;
+    if (!drag.active) {
+      if (drag.distance < 5) {
+        return;
       }
+      drag.active = true;
+      this.dragMoved = true;
+      this.stopScrollLoop();
+      this.clearHeadlineHold(); // Scrubbing ends a stop at a headline
+      event.currentTarget.setPointerCapture(event.pointerId);
+      event.currentTarget.classList.add('is-dragging');
     }
 
-    // Apply the animation to the ticker content
-    content.style.animation = `scroll-dynamic ${duration}s linear infinite`;
-    content.style.transform = 'translateX(0)'; // Ensure initial position is correct
+    // The strip follows the pointer: moving right scrolls back, unless the layout is right-to-left
+    const delta = this.rightToLeft ? dx : -dx;
+    this.seekTo(this.scrollOffset + delta);
+    if (elapsed > 0) {
+      drag.velocity = drag.velocity * 0.5 + (delta / elapsed) * 0.5; // Smoothed for the release
+    }
   }
 
-  // Helper to get computed style values for accurate measurement
-  getComputedStyleValue(prop) {
-    const content = this.shadowRoot.querySelector('.ticker-content');
-    return content ? getComputedStyle(content)[prop] : '';
+  // Releasing a drag hands its momentum to the scroll loop, which eases back to the normal speed
+  endDrag(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return;
+    }
+    this.drag = null;
+    if (drag.active) {
+      event.currentTarget.classList.remove('is-dragging');
+      if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+        event.currentTarget.releasePointerCapture(event.pointerId);
+      }
+      this.scrollVelocity = event.type === 'pointercancel' ? 0 : Math.max(-3000, Math.min(3000, drag.velocity));
+    }
+    this.startScrollLoop();
   }
 
-  // Updates the component's internal styles based on attributes
+  // Updates the styling attributes' overrides; the main stylesheet never changes
   updateStyles() {
-    const style = this.shadowRoot.querySelector('style');
+    const style = this.shadowRoot.querySelector('style.overrides');
     if (style) {
-      style.textContent = this.getStyles();
+      style.textContent = this.getOverrideStyles();
     }
   }
 
-  // Generates the CSS styles for the component
-  getStyles() {
-    const domainColor = this.getAttribute('domain-color') || '#007bff';
-    const dateColor = this.getAttribute('date-color') || '#6c757d';
-    const titleColor = this.getAttribute('title-color') || '#333';
-    const backgroundColor = this.getAttribute('background-color') || '#f8f9fa';
+  // Styling attributes win over the theme and the page's --rss-ticker-* properties: they set the
+  // private properties the stylesheet reads, in a stylesheet placed after it
+  getOverrideStyles() {
+    const overrides = {
+      '--_bg': this.getAttribute('background-color'),
+      '--_title-color': this.getAttribute('title-color'),
+      '--_domain-color': this.getAttribute('domain-color'),
+      '--_date-color': this.getAttribute('date-color'),
+      '--_font-weight': this.getAttribute('font-weight'),
+      '--_font-size': this.getAttribute('font-size')
+    };
+
+    // Prioritize Google Font if specified, otherwise use the font-family attribute or the theme's font
     const googleFont = this.getAttribute('google-font');
-    const fontFamily = this.getAttribute('font-family') || 'Arial, sans-serif';
-    const fontWeight = this.getAttribute('font-weight') || '400';
-    const fontSize = this.getAttribute('font-size') || '14px';
+    const fontFamily = this.getAttribute('font-family');
+    if (googleFont) {
+      overrides['--_font-family'] = `"${googleFont}", ${fontFamily || 'var(--rss-ticker-font-family, Arial, sans-serif)'}`;
+    } else if (fontFamily) {
+      overrides['--_font-family'] = fontFamily;
+    }
+
+    const maxLines = parseInt(this.getAttribute('max-lines'));
+    if (maxLines > 0) {
+      overrides['--_lines'] = Math.min(maxLines, 10);
+    }
+
+    const declarations = Object.entries(overrides)
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}: ${value};`)
+      .join(' ');
+    return [declarations ? `:host { ${declarations} }` : '', this.getCompactStyles()].join('\n');
+  }
 
-    // Prioritize Google Font if specified, otherwise use fallback
-    const finalFontFamily = googleFont ? `"${googleFont}", ${fontFamily}` : fontFamily;
+  // With `compact`, the date and/or domain ("date", "domain" or both, the default) of the built-in
+  // headlines are hidden while the ticker is narrower than `compact-width` (480px by default)
+  getCompactStyles() {
+    const compact = this.getAttribute('compact');
+    if (compact === null) {
+      return '';
+    }
+    const parts = compact.toLowerCase().split(/[\s,]+/).filter(part => part === 'date' || part === 'domain');
+    const hidden = parts.length > 0 ? parts : ['date', 'domain'];
+    const widthAttr = (this.getAttribute('compact-width') || '').trim();
+    const width = /^\d+(\.\d+)?$/.test(widthAttr) ? `${widthAttr}px` : (/^\d+(\.\d+)?(px|em|rem)$/.test(widthAttr) ? widthAttr : '480px');
+
+    const rules = hidden.map(part => `.post-${part} { display: none; }`);
+    // What follows a hidden part no longer needs the gap in front of it
+    if (hidden.includes('domain')) {
+      rules.push(hidden.includes('date')
+        ? '.post-date + .post-new, .post-date + .post-title { margin-inline-start: 0; }'
+        : '.post-domain + .post-date { margin-inline-start: 0; }');
+    }
+    return `@container rss-ticker (max-width: ${width}) { ${rules.join(' ')} }`;
+  }
 
+  // Generates the CSS styles for the component
+  getStyles() {
     return `
+      /* Themes: the built-in palettes, chosen with the theme attribute (light by default) */
+      :host {
+        --_theme-bg: #f8f9fa;
+        --_theme-title-color: #333;
+        --_theme-domain-color: #007bff;
+        --_theme-date-color: #6c757d;
+        --_theme-hover-bg: rgba(0, 0, 0, 0.05);
+      }
+      :host([theme="dark"]) {
+        color-scheme: dark;
+        --_theme-bg: #1f2328;
+        --_theme-title-color: #e6edf3;
+        --_theme-domain-color: #58a6ff;
+        --_theme-date-color: #9da7b3;
+        --_theme-hover-bg: rgba(255, 255, 255, 0.08);
+      }
+      @media (prefers-color-scheme: dark) {
+        :host([theme="auto"]) {
+          color-scheme: dark;
+          --_theme-bg: #1f2328;
+          --_theme-title-color: #e6edf3;
+          --_theme-domain-color: #58a6ff;
+          --_theme-date-color: #9da7b3;
+          --_theme-hover-bg: rgba(255, 255, 255, 0.08);
+        }
+      }
+      /* Page CSS themes the ticker through the public --rss-ticker-* properties */
+      :host {
+        --_bg: var(--rss-ticker-bg, var(--_theme-bg));
+        --_title-color: var(--rss-ticker-title-color, var(--_theme-title-color));
+        --_domain-color: var(--rss-ticker-domain-color, var(--_theme-domain-color));
+        --_date-color: var(--rss-ticker-date-color, var(--_theme-date-color));
+        --_font-family: var(--rss-ticker-font-family, Arial, sans-serif);
+        --_font-weight: var(--rss-ticker-font-weight, 400);
+        --_font-size: var(--rss-ticker-font-size, 14px);
+      }
       :host {
         display: block;
         width: 100%;
         overflow: hidden;
-        background-color: ${backgroundColor};
+        background-color: var(--_bg);
         padding: 12px 0;
         box-sizing: border-box; /* Include padding in width calculation */
       }
+      .ticker {
+        display: flex;
+        align-items: center;
+        container: rss-ticker / inline-size; /* Headlines adapt to the ticker's width, not the viewport's */
+      }
+      .ticker-toggle {
+        flex: none;
+        margin: 0 8px;
+        padding: 0 6px;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        background: transparent;
+        color: var(--_date-color);
+        font-size: 0.75em;
+        line-height: 1.6;
+        cursor: pointer;
+      }
+      .ticker-toggle:focus-visible,
+      .post-item:focus-visible {
+        outline: 2px solid var(--rss-ticker-focus-color, var(--_domain-color));
+        outline-offset: 1px;
+      }
+      .mode-list .ticker-toggle {
+        display: none; /* Nothing moves, nothing to pause */
+      }
+      .ticker-offline {
+        display: none;
+        flex: none;
+        margin: 0 8px;
+        font-family: var(--_font-family);
+        font-size: 0.75em;
+        color: var(--_date-color);
+      }
+      :host([offline]) .ticker-offline {
+        display: inline-block;
+      }
+      .ticker-status {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip-path: inset(50%);
+        white-space: nowrap;
+      }
       .ticker-container {
+        flex: 1;
+        min-width: 0;
         white-space: nowrap;
         overflow: hidden;
         position: relative;
@@ -679,17 +3180,24 @@ class RSSTickerElement extends HTMLElement {
       }
       .ticker-content {
         display: inline-block;
-        font-family: ${finalFontFamily};
-        font-weight: ${fontWeight};
-        font-size: ${fontSize};
+        font-family: var(--_font-family);
+        font-weight: var(--_font-weight);
+        font-size: var(--_font-size);
         line-height: 1.4;
-        color: ${titleColor};
+        color: var(--_title-color);
         will-change: transform; /* Hint to browser for animation optimization */
         white-space: nowrap;
         transform: translateX(0);
       }
-      .ticker-container:hover .ticker-content {
-        animation-play-state: paused !important; /* Pause animation on hover */
+      .mode-horizontal .ticker-container {
+        touch-action: pan-y; /* Horizontal swipes scrub the strip, vertical ones still scroll the page */
+      }
+      .ticker-container.is-dragging {
+        cursor: grabbing;
+        user-select: none;
+      }
+      .post-item {
+        display: inline-block;
       }
       .post-link {
         text-decoration: none;
@@ -702,53 +3210,224 @@ class RSSTickerElement extends HTMLElement {
       .post-link:hover {
         transform: translateY(-1px);
         filter: brightness(1.1);
-        background-color: rgba(0, 0, 0, 0.05); /* Subtle hover background */
+        background-color: var(--rss-ticker-hover-bg, var(--_theme-hover-bg)); /* Subtle hover background */
       }
       .post-title {
         font-weight: bold;
-        color: ${titleColor};
-        margin-left: 1.2em;
+        color: var(--_title-color);
+        margin-inline-start: 1.2em;
       }
       .post-domain {
-        color: ${domainColor};
+        color: var(--_domain-color);
         font-weight: 600;
         font-size: 0.85em;
       }
       .post-date {
-        color: ${dateColor};
+        color: var(--_date-color);
         font-style: italic;
-        margin-left: 1.2em;
+        margin-inline-start: 1.2em;
         font-size: 0.85em;
       }
+      .post-new {
+        display: inline-block;
+        margin-inline-start: 1.2em;
+        padding: 0 0.4em;
+        border-radius: 3px;
+        background-color: var(--rss-ticker-new-bg, #d73a49);
+        color: var(--rss-ticker-new-color, #fff);
+        font-size: 0.7em;
+        font-weight: bold;
+        letter-spacing: 0.05em;
+        text-transform: uppercase;
+        vertical-align: middle;
+      }
       .separator {
-        color: ${dateColor};
+        color: var(--rss-ticker-separator-color, var(--_date-color));
         font-weight: bold;
         margin: 0 2em;
       }
+      /* Preview dialog, shown in the top layer above the page */
+      .ticker-preview {
+        width: min(32rem, calc(100vw - 2rem));
+        max-height: calc(100vh - 4rem);
+        padding: 0;
+        border: none;
+        border-radius: 8px;
+        overflow: auto;
+        background-color: var(--_bg);
+        color: var(--_title-color);
+        font-family: var(--_font-family);
+        white-space: normal;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+      }
+      .ticker-preview::backdrop {
+        background-color: rgba(0, 0, 0, 0.4);
+      }
+      .preview-body {
+        position: relative;
+        padding: 20px;
+      }
+      .preview-close {
+        position: absolute;
+        top: 8px;
+        inset-inline-end: 8px;
+        padding: 0 6px;
+        border: none;
+        background: transparent;
+        color: var(--_date-color);
+        font-size: 1.5em;
+        line-height: 1;
+        cursor: pointer;
+      }
+      .preview-image {
+        display: block;
+        width: 100%;
+        max-height: 14rem;
+        object-fit: cover;
+        border-radius: 4px;
+        margin-bottom: 12px;
+      }
+      .preview-title {
+        margin: 0 0 8px;
+        padding-inline-end: 1.5em; /* Room for the close button */
+        font-size: 1.2em;
+        line-height: 1.3;
+      }
+      .preview-meta {
+        margin: 0 0 12px;
+        color: var(--_date-color);
+        font-size: 0.85em;
+      }
+      .preview-summary {
+        margin: 0 0 16px;
+        line-height: 1.5;
+      }
+      .preview-link {
+        color: var(--_domain-color);
+        font-weight: 600;
+      }
+      .preview-close:focus-visible,
+      .preview-link:focus-visible {
+        outline: 2px solid var(--rss-ticker-focus-color, var(--_domain-color));
+        outline-offset: 1px;
+      }
       /* Responsive adjustments */
       @media (max-width: 768px) {
         :host {
           padding: 8px 0;
         }
+      }
+      @container rss-ticker (max-width: 768px) {
         .ticker-content {
-          font-size: calc(${fontSize.replace('px', '')} * 0.9px); /* Scale down font size */
+          font-size: calc(var(--_font-size) * 0.9); /* Scale down font size */
         }
         .post-title {
-          margin-left: 0.8em;
+          margin-inline-start: 0.8em;
         }
         .post-date {
-          margin-left: 0.8em;
+          margin-inline-start: 0.8em;
         }
         .separator {
           margin: 0 1.5em;
         }
       }
-      /* Accessibility: reduce motion preference */
-      @media (prefers-reduced-motion: reduce) {
-        .ticker-content {
-          animation: none !important;
-          transform: translateX(0) !important;
-        }
+      /* Vertical and fade modes: one headline at a time, layered on top of each other */
+      .mode-vertical .ticker-content,
+      .mode-fade .ticker-content {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 1.4em;
+        overflow: hidden;
+      }
+      .mode-vertical .post-item,
+      .mode-fade .post-item {
+        position: absolute;
+        top: 0;
+        inset-inline-start: 0;
+        max-width: 100%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        opacity: 0;
+        pointer-events: none;
+        transition: transform 0.5s ease, opacity 0.5s ease;
+      }
+      .mode-vertical .post-item {
+        transform: translateY(100%); /* Waiting below */
+      }
+      .mode-vertical .post-item.is-leaving {
+        transform: translateY(-100%); /* Leaving upwards */
+      }
+      .mode-vertical .post-item.is-active,
+      .mode-fade .post-item.is-active {
+        transform: translateY(0);
+        opacity: 1;
+        pointer-events: auto;
+      }
+      /* max-lines: headlines wrap onto up to --_lines lines outside the horizontal mode */
+      :host([max-lines]) .mode-vertical .ticker-content,
+      :host([max-lines]) .mode-fade .ticker-content {
+        height: calc(1.4em * var(--_lines, 1));
+      }
+      :host([max-lines]) .mode-vertical .post-item,
+      :host([max-lines]) .mode-fade .post-item,
+      :host([max-lines]) .mode-list .post-item {
+        display: -webkit-box;
+        -webkit-box-orient: vertical;
+        -webkit-line-clamp: var(--_lines, 1);
+        line-clamp: var(--_lines, 1);
+        overflow: hidden;
+        white-space: normal;
+      }
+      /* Debug panel (debug attribute), overlaying the page below the ticker */
+      :host([debug]) {
+        position: relative;
+        overflow: visible;
+      }
+      .ticker-debug {
+        position: absolute;
+        top: 100%;
+        inset-inline-start: 0;
+        z-index: 2147483000;
+        max-width: 100%;
+        max-height: 40vh;
+        overflow: auto;
+        background: #111;
+        color: #eee;
+        font: 11px/1.4 ui-monospace, monospace;
+      }
+      .ticker-debug[hidden] {
+        display: none;
+      }
+      .ticker-debug th,
+      .ticker-debug td {
+        padding: 2px 6px;
+        text-align: start;
+        white-space: nowrap;
+      }
+      .ticker-debug .outcome-ok,
+      .ticker-debug .outcome-cache-hit {
+        color: #7ee787;
+      }
+      .ticker-debug [class$="-error"],
+      .ticker-debug .outcome-timeout {
+        color: #ff7b72;
+      }
+      .ticker-debug .outcome-cancelled {
+        color: #8b949e;
+      }
+      /* Static list mode, also used when reduced motion is preferred */
+      .mode-list {
+        white-space: normal;
+      }
+      .mode-list .ticker-content {
+        display: block;
+        width: 100%;
+        white-space: normal;
+      }
+      .mode-list .post-item {
+        display: block;
+        padding: 2px 5px;
       }
     `;
   }
@@ -757,11 +3436,66 @@ class RSSTickerElement extends HTMLElement {
   render() {
     this.shadowRoot.innerHTML = `
       <style>${this.getStyles()}</style>
-      <div class="ticker-container">
-        <div class="ticker-content">Loading RSS feed...</div>
+      <style class="overrides">${this.getOverrideStyles()}</style>
+      <div class="ticker" role="region" aria-roledescription="news ticker">
+        <button type="button" class="ticker-toggle" part="toggle" aria-label="Pause headlines"><span class="toggle-icon" aria-hidden="true">❚❚</span></button>
+        <div class="ticker-container" part="container">
+          <div class="ticker-content" role="marquee" aria-live="off">Loading RSS feed...</div>
+        </div>
+        <span class="ticker-offline" part="offline">Offline</span>
+        <span class="ticker-status" role="status"></span>
       </div>
+      <div class="ticker-debug" part="debug" hidden></div>
+      <dialog class="ticker-preview" part="preview" aria-labelledby="ticker-preview-title"></dialog>
     `;
+    this.shadowRoot.querySelector('.ticker').setAttribute('aria-label', this.getAttribute('label') || 'Latest headlines');
+    this.renderDebugPanel();
   }
 }
 
+// Proxy services shared by every ticker, keyed by name. 'direct' fetches the feed without a proxy
+// and only works for feeds that send CORS headers, so it is not part of the default list.
+RSSTickerElement.proxyServices = new Map([
+  ['allorigins', {
+    url: 'https://api.allorigins.win/get?url={url}',
+    timeout: 3500,
+    format: 'allorigins'
+  }],
+  ['codetabs', {
+    url: 'https://api.codetabs.com/v1/proxy?quest={url}',
+    timeout: 3000,
+    format: 'xml'
+  }],
+  ['rss2json', {
+    url: 'https://api.rss2json.com/v1/api.json?rss_url={url}',
+    timeout: 3000,
+    format: 'json'
+  }],
+  ['direct', {
+    url: '{rawUrl}',
+    timeout: 5000,
+    format: 'xml'
+  }]
+]);
+RSSTickerElement.defaultProxies = ['allorigins', 'codetabs', 'rss2json'];
+RSSTickerElement.cacheDatabase = null; // Shared IndexedDB connection, opened on first use
+RSSTickerElement.pendingRequests = new Map(); // Feed requests in flight, shared by every ticker on the page
+
+// Elements in custom item markup that take keyboard focus; the item wrapper's own tabindex is not counted
+RSSTickerElement.focusableSelector = 'a[href], area[href], button, input, select, textarea, iframe, [contenteditable], [tabindex]:not(.post-item)';
+
+// Namespaces the XML parser understands; RSS 2.0 elements have none
+RSSTickerElement.xmlNamespaces = {
+  atom: 'http://www.w3.org/2005/Atom',
+  atom03: 'http://purl.org/atom/ns#',
+  rss1: 'http://purl.org/rss/1.0/',
+  rss09: 'http://my.netscape.com/rdf/simple/0.9/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  media: 'http://search.yahoo.com/mrss/',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+};
+
 customElements.define('rss-ticker', RSSTickerElement);